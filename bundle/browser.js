@@ -9,14 +9,18 @@ KagoDB.bundle.superagent = require('../lib/ajax/superagent');
 KagoDB.bundle.base = require('../lib/core/base');
 KagoDB.bundle.cursor = require('../lib/core/cursor');
 KagoDB.bundle.cursor_bulk = require('../lib/core/cursor_bulk');
+KagoDB.bundle.duplicate_key_error = require('../lib/core/duplicate_key_error');
+KagoDB.bundle.formats = require('../lib/core/formats');
 KagoDB.bundle.objectid = require('../lib/core/objectid');
 KagoDB.bundle.system = require('../lib/core/system');
 KagoDB.bundle.utils = require('../lib/core/utils');
+KagoDB.bundle.cache = require('../lib/mixin/cache');
 KagoDB.bundle.deny = require('../lib/mixin/deny');
 KagoDB.bundle.dynamic_ajax = require('../lib/mixin/dynamic_ajax');
 KagoDB.bundle.dynamic_mixin = require('../lib/mixin/dynamic_mixin');
 KagoDB.bundle.dynamic_storage = require('../lib/mixin/dynamic_storage');
 KagoDB.bundle.encode = require('../lib/mixin/encode');
+// KagoDB.bundle.encrypt = require('../lib/mixin/encrypt');
 KagoDB.bundle.events = require('../lib/mixin/events');
 // KagoDB.bundle.file_base = require('../lib/mixin/file_base');
 KagoDB.bundle.http_more = require('../lib/mixin/http_more');
@@ -26,8 +30,13 @@ KagoDB.bundle.model = require('../lib/mixin/model');
 KagoDB.bundle.noop = require('../lib/mixin/noop');
 KagoDB.bundle.obop = require('../lib/mixin/obop');
 KagoDB.bundle.pkey = require('../lib/mixin/pkey');
+KagoDB.bundle.secondary_index = require('../lib/mixin/secondary_index');
 KagoDB.bundle.stub = require('../lib/mixin/stub');
+KagoDB.bundle.text_index = require('../lib/mixin/text_index');
+// KagoDB.bundle.whole_file = require('../lib/mixin/whole_file');
+KagoDB.bundle.aggregate = require('../lib/query/aggregate');
 KagoDB.bundle.count = require('../lib/query/count');
+KagoDB.bundle.distinct = require('../lib/query/distinct');
 KagoDB.bundle.find = require('../lib/query/find');
 KagoDB.bundle.find_and_modify = require('../lib/query/find_and_modify');
 KagoDB.bundle.find_one = require('../lib/query/find_one');
@@ -35,10 +44,21 @@ KagoDB.bundle.insert = require('../lib/query/insert');
 KagoDB.bundle.remove = require('../lib/query/remove');
 KagoDB.bundle.update = require('../lib/query/update');
 KagoDB.bundle.ajax = require('../lib/storage/ajax');
+// KagoDB.bundle.csv = require('../lib/storage/csv');
+KagoDB.bundle.indexeddb = require('../lib/storage/indexeddb');
 // KagoDB.bundle.json = require('../lib/storage/json');
+// KagoDB.bundle.json_file = require('../lib/storage/json_file');
+// KagoDB.bundle.jsonl = require('../lib/storage/jsonl');
 KagoDB.bundle.local_storage = require('../lib/storage/local_storage');
+// KagoDB.bundle.markdown = require('../lib/storage/markdown');
 KagoDB.bundle.memory = require('../lib/storage/memory');
+KagoDB.bundle.mirror = require('../lib/storage/mirror');
+KagoDB.bundle.overlay = require('../lib/storage/overlay');
+KagoDB.bundle.partition = require('../lib/storage/partition');
+KagoDB.bundle.session_storage = require('../lib/storage/session_storage');
 // KagoDB.bundle.yaml = require('../lib/storage/yaml');
+// KagoDB.bundle.yaml_file = require('../lib/storage/yaml_file');
+// KagoDB.bundle.multipart = require('../lib/webapi/multipart');
 // KagoDB.bundle.webapi = require('../lib/webapi/webapi');
 // KagoDB.bundle.webmethods = require('../lib/webapi/webmethods');
 
@@ -1,8 +1,11 @@
 /*! common.js */
 
 var Base = require('../lib/core/base');
+var formats = require('../lib/core/formats');
 
+var aggregate = require('../lib/query/aggregate');
 var count = require('../lib/query/count');
+var distinct = require('../lib/query/distinct');
 var find = require('../lib/query/find');
 var find_and_modify = require('../lib/query/find_and_modify');
 var find_one = require('../lib/query/find_one');
@@ -19,6 +22,7 @@ var model = require('../lib/mixin/model');
 var noop = require('../lib/mixin/noop');
 var obop = require('../lib/mixin/obop');
 var pkey = require('../lib/mixin/pkey');
+var secondary_index = require('../lib/mixin/secondary_index');
 
 var KagoDB = Base.inherit();
 
@@ -31,9 +35,14 @@ KagoDB.mixin(dynamic_ajax());
 
 // encode
 KagoDB.mixin(encode());
+Object.keys(formats).forEach(function(name) {
+  KagoDB.registerFormat(name, formats[name]);
+});
 
 // query
+KagoDB.mixin(aggregate());
 KagoDB.mixin(count());
+KagoDB.mixin(distinct());
 KagoDB.mixin(find());
 KagoDB.mixin(find_and_modify());
 KagoDB.mixin(find_one());
@@ -49,5 +58,6 @@ KagoDB.mixin(events());
 KagoDB.mixin(pkey());
 KagoDB.mixin(obop());
 KagoDB.mixin(model());
+KagoDB.mixin(secondary_index());
 
 module.exports = KagoDB;
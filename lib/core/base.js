@@ -46,6 +46,46 @@ function inherit(parent) {
 
   child.prototype.bundle = child.bundle = utils.clone(parent.bundle || {});
 
+  /**
+   * This is a registry of serialization formats available for "format" option.
+   * Formats registered to a parent class are available for its sub classes as well.
+   *
+   * @member {Object} KagoDB.formats
+   * @see KagoDB.registerFormat
+   */
+
+  child.prototype.formats = child.formats = Object.create(parent.formats || null);
+
+  /**
+   * This registers a serialization format which
+   * [encode()]{@linkcode KagoDB#encode} and
+   * [decode()]{@linkcode KagoDB#decode} use when "format" option specifies the name.
+   * encode() and decode() of the format are called synchronously with the collection as this.
+   * File-based storages use the suffix unless "suffix" option is given.
+   *
+   * @method KagoDB.registerFormat
+   * @param {String} name - format name
+   * @param {Object} format - {encode: function(item) {}, decode: function(source) {}, suffix: '.ext'}
+   * @returns this class itself for method chaining
+   * @example
+   * var querystring = require('querystring');
+   *
+   * KagoDB.registerFormat('query', {
+   *   encode: querystring.stringify,
+   *   decode: querystring.parse,
+   *   suffix: '.txt'
+   * });
+   *
+   * var collection = new KagoDB({storage: 'json', path: './data/', format: 'query'});
+   */
+  child.registerFormat = function(name, format) {
+    if (!name || !format || 'function' != typeof format.encode || 'function' != typeof format.decode) {
+      throw new Error('invalid registerFormat(' + name + ')');
+    }
+    child.formats[name] = format;
+    return child;
+  };
+
   /**
    * This applies a mixin object which exports instance methods.
    *
@@ -46,6 +46,25 @@ Proto.prototype.rewind = function() {
   return this;
 };
 
+/**
+ * This releases resources, such as directory handles, which the cursor holds to read the rest of items.
+ * limit() calls this automatically when the limit is reached.
+ *
+ * @method Cursor.prototype.close
+ * @returns {Cursor} instance itself for method chaining
+ * @example
+ * var cursor = collection.find();
+ * cursor.nextObject(function(err, item){
+ *   console.log(item); // first item only
+ *   cursor.close();
+ * });
+ */
+
+Proto.prototype.close = function() {
+  if (this.source && this.source.close) this.source.close();
+  return this;
+};
+
 /**
  * This is a Cursor instance constructor. find() and other some methods use this internally.
  *
@@ -61,12 +80,17 @@ function Cursor(collection, condition, projection) {
   this._source = this.source;
   this.obop = collection.obop();
   if (condition) {
+    // read only the items which an index returns
+    var ids = collection.index_lookup && collection.index_lookup(condition);
     try {
       condition = this.obop.where(condition);
     } catch (e) {
       condition = null;
       this._error = e;
     }
+    if (ids && !this._error) {
+      this.source = this._source = new Source(this, ids);
+    }
     if (condition) {
       this.source = new Condition(this, condition);
     }
@@ -212,7 +236,7 @@ Cursor.prototype.count = function(callback) {
     return this;
   }
 
-  var getlist = (this.source === this._source) ? this.index : this.toArray;
+  var getlist = (this.source === this._source && !this._source.ids) ? this.index : this.toArray;
   getlist.call(this, function(err, list) {
     if (err) {
       callback(err);
@@ -270,8 +294,9 @@ Cursor.prototype.limit = function(limit) {
   return this;
 };
 
-function Source(cursor) {
+function Source(cursor, ids) {
   this.collection = cursor.collection;
+  this.ids = ids;
 }
 
 utils.inherits(Source, Proto);
@@ -281,14 +306,47 @@ Source.prototype.nextObject = function(callback) {
   callback = callback || NOP;
 
   if (this.list) {
-    if (!this.list.length) {
-      callback(); // EOF
-      return;
-    } else {
+    if (this.list.length) {
       var id = this.list.shift();
       this.collection.read(id, callback);
-      return;
+    } else if (this.reader) {
+      // read the next batch of keys
+      this.reader.next(function(err, list) {
+        if (err) return callback(err);
+        if (list) {
+          self.list = list;
+        } else {
+          delete self.reader;
+        }
+        self.nextObject(callback);
+      });
+    } else {
+      callback(); // EOF
     }
+    return;
+  }
+
+  // IDs given
+  if ('function' == typeof this.ids) {
+    this.ids(function(err, list) {
+      if (err) return callback(err);
+      self.list = [].concat(list || []); // clone
+      self.nextObject(callback);
+    });
+    return;
+  } else if (this.ids) {
+    this.list = [].concat(this.ids); // clone
+    this.nextObject(callback);
+    return;
+  }
+
+  // read keys incrementally when the storage supports it
+  var reader = this.collection.index_reader && this.collection.index_reader();
+  if (reader) {
+    this.reader = reader;
+    this.list = [];
+    this.nextObject(callback);
+    return;
   }
 
   // read all keys at first
@@ -302,9 +360,15 @@ Source.prototype.nextObject = function(callback) {
 };
 
 Source.prototype.rewind = function(callback) {
+  this.close();
   delete this.list;
 };
 
+Source.prototype.close = function() {
+  if (this.reader) this.reader.close();
+  delete this.reader;
+};
+
 function Condition(cursor, condition) {
   this.source = cursor.source;
   this.condition = condition;
@@ -429,6 +493,7 @@ Limit.prototype.nextObject = function(callback) {
   if (this.rest-- > 0) {
     source.nextObject(callback);
   } else {
+    this.close(); // the rest of items are never read
     callback();
   }
 };
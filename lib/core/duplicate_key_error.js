@@ -0,0 +1,40 @@
+/*! duplicate_key_error.js */
+
+var utils = require('./utils');
+
+/**
+ * This is an error which write() and other methods fail with
+ * when an item violates a unique index.
+ * It has "code" property 11000 as MongoDB does.
+ *
+ * @class DuplicateKeyError
+ * @param {String} index - index name
+ * @param {Object} key - field values duplicated
+ * @param {String} id - ID of the item which already has the values
+ * @see KagoDB#ensureIndex
+ * @example
+ * var DuplicateKeyError = KagoDB.bundle.duplicate_key_error;
+ *
+ * collection.insert({username: 'foo'}, function(err) {
+ *   if (err instanceof DuplicateKeyError) {
+ *     console.log(err.index); // => 'username_1'
+ *     console.log(err.key); // => {username: 'foo'}
+ *   }
+ * });
+ */
+
+module.exports = DuplicateKeyError;
+
+function DuplicateKeyError(index, key, id) {
+  if (!(this instanceof DuplicateKeyError)) return new DuplicateKeyError(index, key, id);
+  this.message = 'duplicate key error index: ' + index + ' dup key: ' + JSON.stringify(key);
+  this.index = index;
+  this.key = key;
+  this.id = id;
+  if (Error.captureStackTrace) Error.captureStackTrace(this, DuplicateKeyError);
+}
+
+utils.inherits(DuplicateKeyError, Error);
+
+DuplicateKeyError.prototype.name = 'DuplicateKeyError';
+DuplicateKeyError.prototype.code = 11000;
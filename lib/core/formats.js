@@ -0,0 +1,82 @@
+/*! formats.js */
+
+/**
+ * This module exports serialization formats built in.
+ * Each format has encode() and decode() methods, which are called with the collection as this,
+ * and a file suffix.
+ *
+ * - json: JSON (default)
+ * - yaml: YAML via {@link https://npmjs.org/package/js-yaml js-yaml} module
+ * - json5: JSON5 via {@link https://npmjs.org/package/json5 json5} module
+ * - toml: TOML via {@link https://npmjs.org/package/@iarna/toml @iarna/toml} module
+ *
+ * Modules other than JSON are loaded at the first use.
+ * On browsers, load them as global variables: jsyaml, JSON5 and TOML respectively.
+ *
+ * @module formats
+ * @see KagoDB.registerFormat
+ */
+
+var wrequire = require('wrequire');
+
+var jsyaml; // = require('js-yaml'); // lazy load
+var JSON5; // = require('json5'); // lazy load
+var TOML; // = require('@iarna/toml'); // lazy load
+
+exports.json = {
+  suffix: '.json',
+  encode: function(item) {
+    var replacer = this.get('json_replacer');
+    var spaces = this.get('json_spaces');
+    return JSON.stringify(item, replacer, spaces);
+  },
+  decode: function(source) {
+    return JSON.parse(source);
+  }
+};
+
+exports.yaml = {
+  suffix: '.yaml',
+  encode: function(item) {
+    jsyaml = jsyaml || load('jsyaml', 'js-yaml');
+    return jsyaml.dump(item);
+  },
+  decode: function(source) {
+    jsyaml = jsyaml || load('jsyaml', 'js-yaml');
+    return jsyaml.load(source);
+  }
+};
+
+exports.json5 = {
+  suffix: '.json5',
+  encode: function(item) {
+    JSON5 = JSON5 || load('JSON5', 'json5');
+    var replacer = this.get('json_replacer');
+    var spaces = this.get('json_spaces');
+    return JSON5.stringify(item, replacer, spaces);
+  },
+  decode: function(source) {
+    JSON5 = JSON5 || load('JSON5', 'json5');
+    return JSON5.parse(source);
+  }
+};
+
+exports.toml = {
+  suffix: '.toml',
+  encode: function(item) {
+    TOML = TOML || load('TOML', '@iarna/toml');
+    return TOML.stringify(item);
+  },
+  decode: function(source) {
+    TOML = TOML || load('TOML', '@iarna/toml');
+    return TOML.parse(source);
+  }
+};
+
+function load(key, path) {
+  var lib = wrequire(key, path);
+  if (!lib) {
+    throw new Error('module not available: ' + path);
+  }
+  return lib;
+}
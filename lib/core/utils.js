@@ -133,6 +133,35 @@ exports.clone = function(source) {
   return object;
 };
 
+/**
+ * It creates a deep-copied clone of the value.
+ * Nested objects and arrays are duplicated and Date objects are copied as well.
+ * Objects which have toJSON() method, such as ObjectID, are copied by reference.
+ * A copied object has the same prototype as the source object has.
+ *
+ * @param {Object} source - source value
+ * @return {Object} copied value
+ * @example
+ * var utils = KagoDB.bundle.utils;
+ *
+ * var source = {name : 'moe', tags : ['stooge']};
+ * var copy = utils.copy(source);
+ * copy.tags.push('barber');
+ * console.log(source.tags); // => ['stooge']
+ */
+
+exports.copy = function copy(source) {
+  if (!source || 'object' != typeof source) return source;
+  if (source instanceof Date) return new Date(source.getTime());
+  if (source instanceof Array) return source.map(copy);
+  if ('function' == typeof source.toJSON) return source;
+  var object = Object.create(Object.getPrototypeOf(source));
+  for (var key in source) {
+    if (source.hasOwnProperty(key)) object[key] = copy(source[key]);
+  }
+  return object;
+};
+
 /**
  * This makes an item as the model class's instance.
  *
@@ -169,6 +198,44 @@ exports.bless = function(item, model) {
   }
 };
 
+/**
+ * This reads a stream until the end and concatenates chunks into a Buffer.
+ * A Buffer or a string given is passed through as a Buffer.
+ *
+ * @param {Stream|Buffer|String} source - readable stream
+ * @param {Function} callback - function(err, buffer) {}
+ * @example
+ * var utils = KagoDB.bundle.utils;
+ *
+ * utils.concat(fs.createReadStream('photo.png'), function(err, buffer) {
+ *   console.log(buffer.length + ' bytes');
+ * });
+ */
+
+exports.concat = function(source, callback) {
+  callback = callback || NOP;
+  if (Buffer.isBuffer(source)) return callback(null, source);
+  if ('string' == typeof source) return callback(null, Buffer.from(source));
+  if (!source || 'function' != typeof source.on) {
+    return callback(new Error('invalid data: ' + source));
+  }
+  var chunks = [];
+  var done;
+  source.on('data', function(chunk) {
+    chunks.push('string' == typeof chunk ? Buffer.from(chunk) : chunk);
+  });
+  source.on('error', function(err) {
+    if (done) return;
+    done = true;
+    callback(err);
+  });
+  source.on('end', function() {
+    if (done) return;
+    done = true;
+    callback(null, Buffer.concat(chunks));
+  });
+};
+
 /**
  * @ignore
  */
@@ -0,0 +1,268 @@
+/*! cache.js */
+
+/**
+ * This mixin provides an in-process LRU cache which overrides
+ * [read()]{@linkcode KagoDB#read},
+ * [write()]{@linkcode KagoDB#write},
+ * [erase()]{@linkcode KagoDB#erase},
+ * [exist()]{@linkcode KagoDB#exist} and
+ * [index()]{@linkcode KagoDB#index}
+ * methods of any storage.
+ *
+ * Items read and the result of index() are cached per collection instance.
+ * write() and erase() invalidate them.
+ * "cache_size" option specifies the maximum number of items cached (default: 1000).
+ * "cache_ttl" option specifies milliseconds to keep a cache (default: 0 for no expiration).
+ * Use "cache_ttl" when the storage is also updated by other instances or processes.
+ * find() uses the cached index() instead of reading the storage incrementally.
+ *
+ * It emits "cache_hit" and "cache_miss" events with the method name, the item ID and the counter.
+ *
+ * This mixin must be loaded after [storage]{@linkcode storage} mixin or other storage-type mixins.
+ *
+ * @class cache
+ * @mixin
+ * @example
+ * var MyKago = KagoDB.inherit();
+ * MyKago.mixin(KagoDB.bundle.cache());
+ *
+ * var opts = {
+ *   storage: 'yaml',
+ *   path: './data/',
+ *   cache_size: 100,
+ *   cache_ttl: 60000
+ * };
+ * var collection = new MyKago(opts);
+ *
+ * collection.on('cache_miss', function(method, id, count) {
+ *   console.log('cache miss:', method, id, count);
+ * });
+ *
+ * collection.find().toArray(); // reads files
+ * collection.find().toArray(); // reads from cache
+ */
+
+var utils = require('../core/utils');
+
+var DEFAULT_SIZE = 1000;
+var INDEX_KEY = 'index'; // item IDs are prefixed with "id:"
+
+module.exports = function() {
+  return mixin;
+
+  function mixin() {
+    var _read = this.read;
+    var _write = this.write;
+    var _erase = this.erase;
+    var _exist = this.exist;
+    var _index = this.index;
+
+    this.read = function(id, callback) {
+      var self = this;
+      var cache = get_cache(this);
+      var key = 'id:' + id;
+      var gen = cache.gen;
+      callback = callback || NOP;
+      if (cache.has(key)) {
+        hit(this, cache, 'read', id);
+        return callback(null, utils.copy(cache.get(key)));
+      }
+      miss(this, cache, 'read', id);
+      _read.call(this, id, function(err, item) {
+        if (!err && item && 'object' == typeof item && gen == cache.gen) {
+          cache.set(key, utils.copy(item), cache_size(self));
+        }
+        callback.apply(this, arguments);
+      });
+    };
+
+    this.write = function(id, item, callback) {
+      var cache = get_cache(this);
+      callback = callback || NOP;
+      _write.call(this, id, item, function(err) {
+        invalidate(cache, id, false, err);
+        callback.apply(this, arguments);
+      });
+    };
+
+    this.erase = function(id, callback) {
+      var cache = get_cache(this);
+      callback = callback || NOP;
+      _erase.call(this, id, function(err) {
+        invalidate(cache, id, true, err);
+        callback.apply(this, arguments);
+      });
+    };
+
+    this.exist = function(id, callback) {
+      var cache = get_cache(this);
+      callback = callback || NOP;
+      if (cache.has('id:' + id)) {
+        hit(this, cache, 'exist', id);
+        return callback(null, true);
+      }
+      if (cache.has(INDEX_KEY)) {
+        hit(this, cache, 'exist', id);
+        return callback(null, cache.get(INDEX_KEY).indexOf(id + '') > -1);
+      }
+      miss(this, cache, 'exist', id);
+      _exist.call(this, id, callback);
+    };
+
+    // cursors use index() which is cached
+    this.index_reader = function() {
+      return null;
+    };
+
+    this.index = function(callback) {
+      var cache = get_cache(this);
+      var gen = cache.gen;
+      callback = callback || NOP;
+      if (cache.has(INDEX_KEY)) {
+        hit(this, cache, 'index');
+        return callback(null, cache.get(INDEX_KEY).slice());
+      }
+      miss(this, cache, 'index');
+      _index.call(this, function(err, list) {
+        if (!err && list && gen == cache.gen) {
+          list = list.map(String);
+          cache.set(INDEX_KEY, list.slice(), Infinity);
+        }
+        callback.apply(this, arguments);
+      });
+    };
+
+    /**
+     * This clears the cache of the collection.
+     *
+     * @method KagoDB.prototype.cache_clear
+     * @returns {KagoDB} collection instance itself for method chaining
+     * @example
+     * var MyKago = KagoDB.inherit();
+     * MyKago.mixin(KagoDB.bundle.cache());
+     *
+     * var collection = new MyKago(opts);
+     * collection.cache_clear();
+     */
+
+    this.cache_clear = function() {
+      var cache = get_cache(this);
+      cache.gen++; // results being read are stale now
+      cache.clear();
+      return this;
+    };
+  }
+};
+
+function get_cache(self) {
+  if (self._cache) return self._cache;
+  return (self._cache = new LRU(self.get('cache_ttl')));
+}
+
+function cache_size(self) {
+  var size = self.get('cache_size');
+  if ('undefined' == typeof size) size = DEFAULT_SIZE;
+  return size;
+}
+
+function hit(self, cache, method, id) {
+  cache.hits++;
+  self.emit('cache_hit', method, id, cache.hits);
+}
+
+function miss(self, cache, method, id) {
+  cache.misses++;
+  self.emit('cache_miss', method, id, cache.misses);
+}
+
+function invalidate(cache, id, erased, err) {
+  cache.gen++; // results being read are stale now
+  cache.remove('id:' + id);
+  if (err) cache.remove(INDEX_KEY);
+  if (!cache.has(INDEX_KEY)) return;
+  var list = cache.get(INDEX_KEY);
+  var pos = list.indexOf(id + '');
+  if (erased && pos > -1) {
+    list.splice(pos, 1);
+  } else if (!erased && pos < 0) {
+    list.push(id + '');
+  }
+}
+
+// least recently used cache with TTL
+function LRU(ttl) {
+  this.ttl = ttl || 0;
+  this.gen = 0; // incremented per write and erase
+  this.hits = 0;
+  this.misses = 0;
+  this.clear();
+}
+
+LRU.prototype.clear = function() {
+  this.map = {};
+  this.count = 0;
+  this.head = {}; // most recently used
+  this.tail = {}; // least recently used
+  this.head.next = this.tail;
+  this.tail.prev = this.head;
+};
+
+LRU.prototype.has = function(key) {
+  var node = this.map[key];
+  if (!node) return false;
+  if (this.ttl && node.expires < Date.now()) {
+    this.remove(key);
+    return false;
+  }
+  return true;
+};
+
+LRU.prototype.get = function(key) {
+  var node = this.map[key];
+  if (!node) return;
+  unlink(node);
+  link(this.head, node);
+  return node.value;
+};
+
+// index() result does not count for the size
+LRU.prototype.set = function(key, value, size) {
+  this.remove(key);
+  if (size <= 0) return;
+  var node = {
+    key: key,
+    value: value,
+    expires: this.ttl ? Date.now() + this.ttl : 0
+  };
+  if (key != INDEX_KEY) this.count++;
+  this.map[key] = node;
+  link(this.head, node);
+  var last = this.tail.prev;
+  while (this.count > size && last !== this.head) {
+    var prev = last.prev;
+    if (last.key != INDEX_KEY) this.remove(last.key);
+    last = prev;
+  }
+};
+
+LRU.prototype.remove = function(key) {
+  var node = this.map[key];
+  if (!node) return;
+  unlink(node);
+  delete this.map[key];
+  if (key != INDEX_KEY) this.count--;
+};
+
+function link(prev, node) {
+  node.prev = prev;
+  node.next = prev.next;
+  prev.next.prev = node;
+  prev.next = node;
+}
+
+function unlink(node) {
+  node.prev.next = node.next;
+  node.next.prev = node.prev;
+}
+
+function NOP() {}
@@ -19,21 +19,38 @@ var methods = {
   index: 1,
 
   // query methods
+  aggregate: 1,
   find: 1,
   findOne: 1,
   count: 1,
+  distinct: 1,
   insert: 1,
   save: 1,
   update: 1,
   findAndModify: 1,
   remove: 1,
 
+  // attachment methods
+  putAttachment: 1,
+  getAttachment: 1,
+  listAttachments: 1,
+  removeAttachment: 1,
+
   // optional methods
+  compact: 1,
+  dump: 1,
+  encodes_items: encodes_items,
+  index_reader: index_reader,
   memory_store: 1,
   file_folder: 1,
   file_suffix: 1,
   http_endpoint: 1,
   http_param: 1,
+  lock: 1,
+  recover: 1,
+  repair: 1,
+  reshard: 1,
+  restore: 1,
 };
 
 module.exports = function() {
@@ -43,6 +60,47 @@ module.exports = function() {
   };
 };
 
+/**
+ * This returns a reader which lists item IDs incrementally.
+ * The reader has next(callback) method which gives an array of IDs per call, or null at the end,
+ * and close() method to stop reading.
+ * The cursor uses it instead of [index()]{@linkcode KagoDB#index} when the storage supports it.
+ * It returns null per default for storages which do not support it.
+ *
+ * @method KagoDB.prototype.index_reader
+ * @returns {Object} reader
+ * @example
+ * var collection = new KagoDB({storage: 'json', path: './data'});
+ *
+ * var reader = collection.index_reader();
+ * reader.next(function(err, list) {
+ *   console.log(list); // the first batch of IDs
+ *   reader.close();
+ * });
+ */
+
+function index_reader() {
+  return null;
+}
+
+/**
+ * This returns true when the storage serializes items via
+ * [encode()]{@linkcode KagoDB#encode} before storing them.
+ * Mixins which override encode(), such as [encrypt]{@linkcode encrypt}, rely on it.
+ * It returns false per default for storages which keep items as objects.
+ *
+ * @method KagoDB.prototype.encodes_items
+ * @returns {Boolean} true when items are serialized via encode()
+ * @example
+ * var collection = new KagoDB({storage: 'json', path: './data'});
+ *
+ * console.log(collection.encodes_items()); // => true
+ */
+
+function encodes_items() {
+  return false;
+}
+
 /**
  * This reads an item.
  *
@@ -121,3 +179,74 @@ module.exports = function() {
  *   console.log(list.length + ' items found');
  * });
  */
+
+/**
+ * This stores a binary attachment of an item.
+ * The item must exist before.
+ * An attachment of the same name is overwritten.
+ *
+ * @method KagoDB.prototype.putAttachment
+ * @param {String} id - item ID
+ * @param {String} name - attachment name
+ * @param {Buffer|Stream} data - attachment content
+ * @param {Function} callback - function(err) {}
+ * @returns {KagoDB} collection instance itself for method chaining
+ * @example
+ * var collection = new KagoDB({storage: 'json', path: './data'});
+ *
+ * var data = fs.createReadStream('photo.png');
+ * collection.putAttachment('foo', 'photo.png', data, function(err) {
+ *   console.log(err || 'no error');
+ * });
+ */
+
+/**
+ * This reads a binary attachment of an item.
+ * Set "stream" option true to receive a readable stream instead of a Buffer.
+ *
+ * @method KagoDB.prototype.getAttachment
+ * @param {String} id - item ID
+ * @param {String} name - attachment name
+ * @param {Object} [options] - {stream: true}
+ * @param {Function} callback - function(err, buffer) {}
+ * @returns {KagoDB} collection instance itself for method chaining
+ * @example
+ * var collection = new KagoDB({storage: 'json', path: './data'});
+ *
+ * collection.getAttachment('foo', 'photo.png', {stream: true}, function(err, stream) {
+ *   if (err) return console.error(err);
+ *   stream.pipe(fs.createWriteStream('photo.png'));
+ * });
+ */
+
+/**
+ * This lists names of attachments of an item in array.
+ *
+ * @method KagoDB.prototype.listAttachments
+ * @param {String} id - item ID
+ * @param {Function} callback - function(err, list) {}
+ * @returns {KagoDB} collection instance itself for method chaining
+ * @example
+ * var collection = new KagoDB({storage: 'json', path: './data'});
+ *
+ * collection.listAttachments('foo', function(err, list) {
+ *   console.log(list.length + ' attachments found');
+ * });
+ */
+
+/**
+ * This removes a binary attachment of an item.
+ * [erase()]{@linkcode KagoDB#erase} removes all attachments of the item as well.
+ *
+ * @method KagoDB.prototype.removeAttachment
+ * @param {String} id - item ID
+ * @param {String} name - attachment name
+ * @param {Function} callback - function(err) {}
+ * @returns {KagoDB} collection instance itself for method chaining
+ * @example
+ * var collection = new KagoDB({storage: 'json', path: './data'});
+ *
+ * collection.removeAttachment('foo', 'photo.png', function(err) {
+ *   console.log(err || 'no error');
+ * });
+ */
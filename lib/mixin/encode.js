@@ -1,17 +1,54 @@
 /*! encode.js */
 
-module.exports = function() {
+var DEFAULT_FORMAT = 'json';
+
+var encode_mixin = module.exports = function(default_format) {
+  default_format = default_format || DEFAULT_FORMAT;
   var mixin = {};
-  mixin.decode = decode;
-  mixin.encode = encode;
+  mixin.decode = function(source, callback) {
+    decode.call(this, default_format, source, callback);
+  };
+  mixin.encode = function(item, callback) {
+    encode.call(this, default_format, item, callback);
+  };
   mixin.escape = encodeURIComponent;
   mixin.unescape = decodeURIComponent;
   return mixin;
 };
 
+/**
+ * This returns a serialization format specified by "format" option.
+ *
+ * @private
+ * @param {String} [default_format] - format name used when "format" option is not given
+ * @returns {Object} format registered by [KagoDB.registerFormat()]{@linkcode KagoDB.registerFormat}
+ */
+
+encode_mixin.get_format = function(default_format) {
+  var name = this.get('format') || default_format || DEFAULT_FORMAT;
+  return encode_mixin.find_format.call(this, name);
+};
+
+/**
+ * This returns a serialization format of the name given regardless of "format" option.
+ *
+ * @private
+ * @param {String} name - format name
+ * @returns {Object} format registered by [KagoDB.registerFormat()]{@linkcode KagoDB.registerFormat}
+ */
+
+encode_mixin.find_format = function(name) {
+  var format = this.formats && this.formats[name];
+  if (!format) {
+    throw new Error('invalid format: ' + name);
+  }
+  return format;
+};
+
 /**
  * This unserializes a string as an item object.
- * Override this method when you need another serialized representation other than JSON.
+ * It uses JSON per default, or a format specified by "format" option such as "yaml", "json5" and "toml".
+ * Override this method when you need another serialized representation.
  *
  * @method KagoDB.prototype.decode
  * @param {String} source - source string
@@ -27,10 +64,11 @@ module.exports = function() {
  * var collection = new MyKago();
  */
 
-function decode(source, callback) {
+function decode(default_format, source, callback) {
   var item;
   try {
-    item = JSON.parse(source);
+    var format = encode_mixin.get_format.call(this, default_format);
+    item = format.decode.call(this, source);
   } catch (err) {
     callback(err);
     return;
@@ -43,7 +81,8 @@ function decode(source, callback) {
 
 /**
  * This serialize an item object as a serialized string.
- * Override this method when you need another serialized representation other than JSON.
+ * It uses JSON per default, or a format specified by "format" option such as "yaml", "json5" and "toml".
+ * Override this method when you need another serialized representation.
  *
  * @method KagoDB.prototype.encode
  * @param {Object} item - source item
@@ -61,17 +100,17 @@ function decode(source, callback) {
  * var collection = new MyKago();
  */
 
-function encode(item, callback) {
+function encode(default_format, item, callback) {
   var encoded;
-  var replacer = this.get('json_replacer');
-  var spaces = this.get('json_spaces');
   if (this.wrap) {
     item = this.wrap(item);
   }
   try {
-    encoded = JSON.stringify(item, replacer, spaces);
+    var format = encode_mixin.get_format.call(this, default_format);
+    encoded = format.encode.call(this, item);
   } catch (err) {
     callback(err);
+    return;
   }
   callback(null, encoded);
 }
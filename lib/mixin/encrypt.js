@@ -0,0 +1,203 @@
+/*! encrypt.js */
+
+/**
+ * This mixin encrypts serialized items at rest with AES-256-GCM.
+ * It overrides
+ * [encode()]{@linkcode KagoDB#encode} and
+ * [decode()]{@linkcode KagoDB#decode}
+ * methods which the storage installs, such as JSON and YAML,
+ * so that items are written to files, Web Storage or else as encrypted payloads.
+ *
+ * "encrypt_key" option specifies a 256-bit key as a Buffer, a hex string or a base64 string.
+ * It also accepts an object which maps key IDs to keys,
+ * or a key provider function(key_id, callback) which returns the key or passes it to the callback.
+ * "encrypt_key_id" option specifies the key ID to encrypt new payloads (default: "default").
+ *
+ * Each payload is tagged with the key ID which encrypted it.
+ * To rotate keys, change "encrypt_key_id" while the old keys are still provided.
+ * Items encrypted with the old key are readable and re-encrypted when written next time.
+ *
+ * Unencrypted items are rejected per default.
+ * Set "encrypt_plaintext" option true to read them during migration.
+ *
+ * Storages which do not serialize items via encode() are rejected as items would be stored in plaintext,
+ * such as [jsonl]{@linkcode jsonl}, [memory]{@linkcode memory} without "memory_serialize" option,
+ * [indexeddb]{@linkcode indexeddb} and storages which delegate to other collections.
+ * A custom storage declares it serializes items with [encodes_items()]{@linkcode KagoDB#encodes_items}.
+ *
+ * This mixin must be loaded after [storage]{@linkcode storage} mixin or other storage-type mixins.
+ *
+ * @class encrypt
+ * @mixin
+ * @example
+ * var MyKago = KagoDB.inherit();
+ * MyKago.mixin(KagoDB.bundle.encrypt());
+ *
+ * var opts = {
+ *   storage: 'yaml',
+ *   path: './data/',
+ *   encrypt_key: {
+ *     k2014: process.env.OLD_KEY,
+ *     k2015: process.env.NEW_KEY
+ *   },
+ *   encrypt_key_id: 'k2015'
+ * };
+ * var collection = new MyKago(opts);
+ *
+ * collection.write('foo', {name: 'FOO'}, function(err) {
+ *   // ./data/foo.yaml is encrypted with the key "k2015"
+ * });
+ */
+
+var crypto = require('crypto');
+
+var ALGORITHM = 'aes-256-gcm';
+var PREFIX = ALGORITHM + ':';
+var KEY_LENGTH = 32;
+var IV_LENGTH = 12;
+var TAG_LENGTH = 16;
+var DEFAULT_KEY_ID = 'default';
+
+module.exports = function() {
+  return mixin;
+
+  function mixin() {
+    var _read = this.read;
+    var _write = this.write;
+    var _encode = this.encode;
+    var _decode = this.decode;
+
+    this.read = function(id, callback) {
+      var err = check_storage(this);
+      callback = callback || NOP;
+      if (err) return callback(err);
+      _read.call(this, id, callback);
+    };
+
+    this.write = function(id, item, callback) {
+      var err = check_storage(this);
+      callback = callback || NOP;
+      if (err) return callback(err);
+      _write.call(this, id, item, callback);
+    };
+
+    this.encode = function(item, callback) {
+      var self = this;
+      var key_id = this.get('encrypt_key_id') || DEFAULT_KEY_ID;
+      callback = callback || NOP;
+      _encode.call(this, item, function(err, encoded) {
+        if (err) return callback(err);
+        get_key(self, key_id, function(err, key) {
+          if (err) return callback(err);
+          var payload;
+          try {
+            payload = encrypt(key_id, key, encoded);
+          } catch (e) {
+            return callback(e);
+          }
+          callback(null, payload);
+        });
+      });
+    };
+
+    this.decode = function(source, callback) {
+      var self = this;
+      var payload = parse(source + '');
+      callback = callback || NOP;
+      if (!payload) {
+        if (this.get('encrypt_plaintext')) return _decode.call(this, source, callback);
+        var err = new Error('Item not encrypted');
+        return callback(err);
+      }
+      get_key(this, payload.key_id, function(err, key) {
+        if (err) return callback(err);
+        var decrypted;
+        try {
+          decrypted = decrypt(key, payload);
+        } catch (e) {
+          return callback(e);
+        }
+        _decode.call(self, decrypted, callback);
+      });
+    };
+  }
+};
+
+// payload: "aes-256-gcm:key_id:iv:tag:data"
+function encrypt(key_id, key, encoded) {
+  var iv = crypto.randomBytes(IV_LENGTH);
+  var cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  var data = Buffer.concat([cipher.update(encoded + '', 'utf8'), cipher.final()]);
+  var tag = cipher.getAuthTag();
+  var list = [encodeURIComponent(key_id), iv.toString('base64'), tag.toString('base64'), data.toString('base64')];
+  return PREFIX + list.join(':');
+}
+
+function decrypt(key, payload) {
+  // a truncated tag would make forgery easier
+  if (payload.tag.length != TAG_LENGTH) {
+    throw new Error('invalid auth tag length: ' + payload.tag.length);
+  }
+  var decipher = crypto.createDecipheriv(ALGORITHM, key, payload.iv);
+  decipher.setAuthTag(payload.tag);
+  var data = Buffer.concat([decipher.update(payload.data), decipher.final()]);
+  return data.toString('utf8');
+}
+
+function parse(source) {
+  source = source.trim(); // file storages may append a line break
+  if (source.substr(0, PREFIX.length) != PREFIX) return;
+  var list = source.substr(PREFIX.length).split(':');
+  if (list.length != 4) return;
+  return {
+    key_id: decodeURIComponent(list[0]),
+    iv: Buffer.from(list[1], 'base64'),
+    tag: Buffer.from(list[2], 'base64'),
+    data: Buffer.from(list[3], 'base64')
+  };
+}
+
+// storages which bypass encode() and decode() would store items in plaintext
+function check_storage(self) {
+  if (!self.encodes_items()) {
+    return new Error('encrypt does not support storage: ' + self.get('storage'));
+  }
+}
+
+function get_key(self, key_id, callback) {
+  var key = self.get('encrypt_key');
+  var called;
+  if ('function' == typeof key) {
+    var result = key.call(self, key_id, done);
+    if ('undefined' != typeof result) done(null, result);
+  } else if (key && 'object' == typeof key && !Buffer.isBuffer(key)) {
+    done(null, key[key_id]);
+  } else {
+    done(null, key);
+  }
+
+  function done(err, key) {
+    if (called) return;
+    called = true;
+    if (err) return callback(err);
+    if (!key) {
+      err = new Error('encrypt_key not found: ' + key_id);
+      return callback(err);
+    }
+    key = to_buffer(key);
+    if (key.length != KEY_LENGTH) {
+      err = new Error('invalid encrypt_key: ' + key_id);
+      return callback(err);
+    }
+    callback(null, key);
+  }
+}
+
+function to_buffer(key) {
+  if (Buffer.isBuffer(key)) return key;
+  key += '';
+  if (/^[0-9a-f]{64}$/i.test(key)) return Buffer.from(key, 'hex');
+  return Buffer.from(key, 'base64');
+}
+
+function NOP() {}
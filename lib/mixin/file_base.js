@@ -1,33 +1,140 @@
 /*! file_base.js */
 
+/**
+ * This mixin provides a base of file-based storages which store an item per file.
+ *
+ * Items are written to a temporary file at first and then renamed into place
+ * so that a crash never leaves a truncated item file.
+ * Set "fsync" option true to flush the temporary file to the disk before renaming.
+ * Set "auto_recover" option true to run
+ * [recover()]{@linkcode KagoDB#recover}
+ * before the first index() call.
+ *
+ * Set "shard" option to spread files over nested directories such as "ab/cd/foo.json"
+ * where the number specifies the depth of directories.
+ * Directory names are taken from MD5 hash of the item ID per default,
+ * or from the escaped item ID itself when "shard_by" option is "id".
+ * Use [reshard()]{@linkcode KagoDB#reshard} to move existing files into the layout.
+ *
+ * find() reads the folder incrementally in batches of "index_batch" IDs (default: 100)
+ * so that find().limit(10) returns before a huge folder is listed entirely.
+ *
+ * Set "compress" option "gzip" or "brotli" to store items compressed as "foo.json.gz" or "foo.json.br".
+ * Uncompressed files and files compressed in the other way are still readable
+ * so that a collection could be migrated item by item.
+ *
+ * Attachments of an item are stored in a sidecar directory next to the item file,
+ * such as "foo.json.attachments/photo.png".
+ *
+ * Set "lock" option true to take advisory locks with
+ * [lock()]{@linkcode KagoDB#lock}
+ * when multiple processes share the same folder.
+ *
+ * @class file_base
+ * @mixin
+ * @see json
+ * @see yaml
+ */
+
 var fs = require('fs');
+var crypto = require('crypto');
+var zlib = require('zlib');
+var utils = require('../core/utils');
 
-module.exports = function() {
+var file_base = module.exports = function() {
   var mixin = {};
   mixin.read = read;
   mixin.write = write;
   mixin.erase = erase;
   mixin.exist = exist;
   mixin.index = index;
+  mixin.index_reader = index_reader;
+  mixin.encodes_items = encodes_items;
+  mixin.recover = recover;
+  mixin.reshard = reshard;
+  mixin.lock = lock;
   mixin.escape = escape;
   mixin.unescape = unescape;
   mixin.file_folder = file_folder;
   mixin.file_suffix = file_suffix;
+  mixin.putAttachment = putAttachment;
+  mixin.getAttachment = getAttachment;
+  mixin.listAttachments = listAttachments;
+  mixin.removeAttachment = removeAttachment;
   return mixin;
 };
 
+var TEMP_SUFFIX = /\.\d+-\d+\.tmp$/;
+var TEMP_EXPIRE = 60 * 1000; // temporary files older than this are leftovers
+var temp_seq = 0;
+var temp_pending = {};
+var SHARD_WIDTH = 2;
+var LOCK_SUFFIX = '.lock';
+var LOCK_TIMEOUT = 60 * 1000; // longer than LOCK_STALE to outwait a lock left by a crash
+var LOCK_STALE = 30 * 1000; // lock files older than this are left by dead processes
+var LOCK_RETRY = 20;
+var lock_held = {}; // collection lock file => token of the job holding it in this process
+var COMPRESS_SUFFIX = /\.(gz|br)$/i;
+var ATTACHMENT_SUFFIX = '.attachments';
+var ATTACHMENT_DIR = /\.attachments$/;
+var INDEX_BATCH = 100;
+var COMPRESSORS = {
+  gzip: {
+    suffix: '.gz',
+    deflate: 'gzip',
+    inflate: 'gunzip'
+  },
+  brotli: {
+    suffix: '.br',
+    deflate: 'brotliCompress',
+    inflate: 'brotliDecompress'
+  }
+};
+
 function escape(id) {
   var folder = this.file_folder();
   var suffix = this.file_suffix();
-  return folder + '/' + encodeURIComponent(id) + suffix;
+  return folder + '/' + shard_dir(this, id) + encodeURIComponent(id) + suffix;
+}
+
+function shard_dir(self, id) {
+  var depth = shard_depth(self);
+  if (!depth) return '';
+  var source;
+  if (self.get('shard_by') == 'id') {
+    source = encodeURIComponent(id);
+  } else {
+    source = crypto.createHash('md5').update(id + '').digest('hex');
+  }
+  var dirs = [];
+  for (var i = 0; i < depth; i++) {
+    var dir = source.substr(i * SHARD_WIDTH, SHARD_WIDTH);
+    while (dir.length < SHARD_WIDTH) dir += '_';
+    dirs.push(dir);
+  }
+  return dirs.join('/') + '/';
+}
+
+function encodes_items() {
+  return true;
+}
+
+function shard_depth(self) {
+  return parseInt(self.get('shard'), 10) || 0;
 }
 
 function unescape(id) {
   id = id.replace(/^.*\//, '');
   var suffix = this.file_suffix();
-  var suftest = id.substr(-suffix.length);
+  var name = id;
+  // accept both compressed and uncompressed files only when compress option is set
+  if (this.get('compress')) {
+    suffix = suffix.replace(COMPRESS_SUFFIX, '');
+    name = id.replace(COMPRESS_SUFFIX, '');
+  }
+  var suftest = name.substr(-suffix.length);
   if (suffix.toLowerCase() == suftest.toLowerCase()) {
-    id = id.substr(0, id.length - suffix.length);
+    id = name.substr(0, name.length - suffix.length);
     id = decodeURIComponent(id);
     return id;
   }
@@ -47,69 +154,812 @@ function file_suffix() {
   if (!suffix) {
     throw new Error('"suffix" parameter for storage is not defined');
   }
-  return suffix;
+  return suffix + file_base.compress_suffix.call(this);
 }
 
+/**
+ * This returns a suffix of compressed files, such as ".gz", specified by "compress" option.
+ *
+ * @private
+ * @returns {String} suffix or an empty string when not compressed
+ */
+
+file_base.compress_suffix = function() {
+  var compress = this.get('compress');
+  if (!compress) return '';
+  if (!COMPRESSORS[compress]) {
+    throw new Error('invalid compress: ' + compress);
+  }
+  return COMPRESSORS[compress].suffix;
+};
+
 function read(id, callback) {
   var path = this.escape(id);
   var self = this;
   callback = callback || NOP;
-  fs.readFile(path, 'utf8', function(err, content) {
-    if (err) {
-      callback(err);
-    } else {
-      self.decode(content, function(err, item) {
-        callback(err, item);
+
+  if (this.get('lock') && is_lock_owner(this)) {
+    // wait for a write by another caller which began before the collection lock
+    wait_unlock(path + LOCK_SUFFIX, lock_timeout(this), job);
+  } else {
+    job();
+  }
+
+  function job(err) {
+    if (err) return callback(err);
+    find_variant(self, path, function(err, path) {
+      fs.readFile(path, function(err, content) {
+        if (err) {
+          callback(err);
+        } else {
+          decode_file(self, path, content, function(err, item) {
+            callback(err, item);
+          });
+        }
       });
-    }
-  });
+    });
+  }
 }
 
 function write(id, item, callback) {
+  var self = this;
   var path = this.escape(id);
+  var sync = this.get('fsync');
   callback = callback || NOP;
   this.encode(item, function(err, encoded) {
     if (err) {
       callback(err);
+    } else if (self.get('lock')) {
+      lock.call(self, id, job, callback);
     } else {
-      fs.writeFile(path, encoded, 'utf8', function(err) {
-        callback(err);
+      job(callback);
+    }
+
+    function job(done) {
+      deflate(self, path, encoded, function(err, data) {
+        if (err) return done(err);
+        file_base.write_file(path, data, sync, function(err) {
+          if (!err) return unlink_variants(self, path, done);
+          if (err.code != 'ENOENT' || !shard_depth(self)) return done(err);
+          // make a shard directory at the first time
+          mkdirp(path.replace(/\/[^\/]*$/, ''), function(err) {
+            if (err) return done(err);
+            file_base.write_file(path, data, sync, done);
+          });
+        });
       });
     }
   });
 }
 
 function erase(id, callback) {
+  var self = this;
   var path = this.escape(id);
   callback = callback || NOP;
-  fs.unlink(path, function(err) {
-    callback(err);
-  });
+  if (this.get('lock')) {
+    lock.call(this, id, job, callback);
+  } else {
+    job(callback);
+  }
+
+  function job(done) {
+    var list = variants(self, path);
+    var found;
+    var error;
+    utils.eachSeries(list, function(path, next) {
+      fs.unlink(path, function(err) {
+        if (err) {
+          error = error || err;
+        } else {
+          found = true;
+        }
+        next();
+      });
+    }, function() {
+      if (!found) return done(error);
+      remove_dir(attachment_dir(self, id), function() {
+        done();
+      });
+    });
+  }
 }
 
 function exist(id, callback) {
   var path = this.escape(id);
   callback = callback || NOP;
-  fs.stat(path, function(err, stat) {
+  find_variant(this, path, function(err, path, stat) {
     callback(null, !! stat);
   });
 }
 
 function index(callback) {
+  var self = this;
   var folder = this.file_folder();
   var unescape = this.unescape.bind(this);
   callback = callback || NOP;
-  fs.readdir(folder, function(err, list) {
+
+  if (this.get('auto_recover') && !this._recovered) {
+    this._recovered = true;
+    recover.call(this, function(err) {
+      if (err) self.emit('warn', 'recover failed:', err);
+      self.index(callback);
+    });
+    return;
+  }
+
+  walk(folder, shard_depth(this), false, function(err, list) {
     if (err) {
       callback(err);
     } else {
+      var dup = {};
       list = list.map(unescape);
       list = list.filter(function(id) {
-        return !(id instanceof Error);
+        if (id instanceof Error) return false;
+        if (dup[id]) return false; // both compressed and uncompressed files exist
+        dup[id] = true;
+        return true;
       });
       callback(null, list);
     }
   });
 }
 
+function index_reader() {
+  // index() runs recover() at first
+  if (this.get('auto_recover') && !this._recovered) return null;
+  // fs.opendir() is available since node.js v12.12.0
+  if (!fs.opendir) return null;
+  return new DirReader(this);
+}
+
+/**
+ * This scans the storage folder to find leftover temporary files and items which could not be decoded.
+ * Those files are moved to the quarantine folder specified by "quarantine" option
+ * (default: ".quarantine" in the storage folder) so that they never break find() any more.
+ *
+ * @method KagoDB.prototype.recover
+ * @param {Function} [callback] - function(err, list) {} - list of file names quarantined
+ * @returns {KagoDB} collection instance itself for method chaining
+ * @example
+ * var collection = new KagoDB({storage: 'yaml', path: './data'});
+ *
+ * collection.recover(function(err, list) {
+ *   console.log(list.length + ' files quarantined');
+ * });
+ */
+
+function recover(callback) {
+  var self = this;
+  var folder = this.file_folder();
+  var quarantine = this.get('quarantine') || folder + '/.quarantine';
+  var found = [];
+  callback = callback || NOP;
+
+  walk(folder, shard_depth(this), false, function(err, list) {
+    if (err) return callback(err);
+    utils.eachSeries(list, check, function(err) {
+      if (err) return callback(err);
+      utils.eachSeries(found, move, function(err) {
+        callback(err, found);
+      });
+    });
+  });
+  return this;
+
+  function check(name, next) {
+    var path = folder + '/' + name;
+    if (TEMP_SUFFIX.test(name)) {
+      if (temp_pending[path]) return next(); // being written now
+      fs.stat(path, function(err, stat) {
+        if (!err && stat.mtime.getTime() < Date.now() - TEMP_EXPIRE) {
+          found.push(name);
+        }
+        next();
+      });
+    } else if (!(self.unescape(name) instanceof Error)) {
+      fs.readFile(path, function(err, content) {
+        if (err) return next();
+        decode_file(self, path, content, function(err) {
+          if (err) found.push(name);
+          next();
+        });
+      });
+    } else {
+      next();
+    }
+  }
+
+  function move(name, next) {
+    self.emit('warn', 'quarantine:', name);
+    mkdirp(quarantine, function(err) {
+      if (err) return next(err);
+      fs.rename(folder + '/' + name, quarantine + '/' + name.replace(/^.*\//, ''), next);
+    });
+  }
+}
+
+/**
+ * This moves item files into the directory layout specified by "shard" option.
+ * This works for migrations from a flat directory to a sharded layout, and vice versa.
+ *
+ * @method KagoDB.prototype.reshard
+ * @param {Function} [callback] - function(err, count) {} - number of files moved
+ * @returns {KagoDB} collection instance itself for method chaining
+ * @example
+ * var collection = new KagoDB({storage: 'json', path: './data', shard: 2});
+ *
+ * collection.reshard(function(err, count) {
+ *   console.log(count + ' files moved');
+ * });
+ */
+
+function reshard(callback) {
+  var self = this;
+  var folder = this.file_folder();
+  var count = 0;
+  callback = callback || NOP;
+
+  walk(folder, Infinity, true, function(err, list) {
+    if (err) return callback(err);
+    utils.eachSeries(list, move, function(err) {
+      callback(err, count);
+    });
+  });
+  return this;
+
+  function move(name, next) {
+    var attachment = ATTACHMENT_DIR.test(name);
+    var id = self.unescape(attachment ? name.substr(0, name.length - ATTACHMENT_SUFFIX.length) : name);
+    if (id instanceof Error) return next();
+    var source = folder + '/' + name;
+    // keep the suffix as the file may be compressed or not
+    var dest = self.escape(id).replace(/[^\/]*$/, name.replace(/^.*\//, ''));
+    if (attachment) dest = attachment_dir(self, id);
+    if (source == dest) return next();
+    mkdirp(dest.replace(/\/[^\/]*$/, ''), function(err) {
+      if (err) return next(err);
+      fs.rename(source, dest, function(err) {
+        if (!err) count++;
+        next(err);
+      });
+    });
+  }
+}
+
+function putAttachment(id, name, data, callback) {
+  var self = this;
+  var sync = this.get('fsync');
+  callback = callback || NOP;
+  var err = check_name(name);
+  if (err) return callback(err);
+  var dir = attachment_dir(this, id);
+  var path = dir + '/' + encodeURIComponent(name);
+  this.exist(id, function(err, exists) {
+    if (err) return callback(err);
+    if (!exists) {
+      err = new Error('Item not found');
+      return callback(err);
+    }
+    mkdirp(dir, function(err) {
+      if (err) return callback(err);
+      file_base.write_file(path, data, sync, callback);
+    });
+  });
+}
+
+function getAttachment(id, name, options, callback) {
+  if ('function' == typeof options) {
+    callback = options;
+    options = null;
+  }
+  callback = callback || NOP;
+  var err = check_name(name);
+  if (err) return callback(err, null);
+  var path = attachment_dir(this, id) + '/' + encodeURIComponent(name);
+  fs.stat(path, function(err, stat) {
+    if (err || !stat.isFile()) {
+      err = new Error('Attachment not found');
+      return callback(err, null);
+    }
+    if (options && options.stream) {
+      callback(null, fs.createReadStream(path));
+    } else {
+      fs.readFile(path, callback);
+    }
+  });
+}
+
+function listAttachments(id, callback) {
+  callback = callback || NOP;
+  fs.readdir(attachment_dir(this, id), function(err, list) {
+    if (err && err.code == 'ENOENT') return callback(null, []);
+    if (err) return callback(err);
+    list = list.filter(function(name) {
+      return !TEMP_SUFFIX.test(name);
+    });
+    list = list.map(decodeURIComponent).sort();
+    callback(null, list);
+  });
+}
+
+function removeAttachment(id, name, callback) {
+  callback = callback || NOP;
+  var err = check_name(name);
+  if (err) return callback(err);
+  var dir = attachment_dir(this, id);
+  fs.unlink(dir + '/' + encodeURIComponent(name), function(err) {
+    if (err && err.code == 'ENOENT') err = new Error('Attachment not found');
+    if (err) return callback(err);
+    // the directory is left when other attachments still exist
+    fs.rmdir(dir, function() {
+      callback();
+    });
+  });
+}
+
+function attachment_dir(self, id) {
+  return self.escape(id).replace(COMPRESS_SUFFIX, '') + ATTACHMENT_SUFFIX;
+}
+
+function check_name(name) {
+  if ('string' != typeof name || !name || name == '.' || name == '..') {
+    return new Error('Invalid attachment name: ' + name);
+  }
+}
+
+// removes a flat directory and files in it
+function remove_dir(dir, callback) {
+  fs.readdir(dir, function(err, list) {
+    if (err) return callback(err);
+    utils.eachSeries(list, function(name, next) {
+      fs.unlink(dir + '/' + name, next);
+    }, function(err) {
+      if (err) return callback(err);
+      fs.rmdir(dir, callback);
+    });
+  });
+}
+
+/**
+ * This runs a job while holding an advisory lock which is a lock file created exclusively.
+ * An item lock is taken when an item ID is given.
+ * A collection-wide lock is taken when the ID is null.
+ * Item locks wait while another process holds the collection-wide lock.
+ * The job is called with a collection as this, which reads and writes items under the collection-wide lock.
+ * Other callers wait for the lock even in the same process.
+ * [update()]{@linkcode KagoDB#update},
+ * [findAndModify()]{@linkcode KagoDB#findAndModify} and
+ * [remove()]{@linkcode KagoDB#remove}
+ * take the collection-wide lock for their read-modify-write cycles when "lock" option is true.
+ *
+ * "lock_timeout" option specifies milliseconds to give up waiting for a lock
+ * (default: 60000, or twice "lock_stale" when it is longer).
+ * "lock_stale" option specifies milliseconds after which a lock file is removed as stale (default: 30000).
+ * The lock file is touched while the job runs so that a long job does not lose its lock,
+ * until the job runs longer than "lock_timeout" without calling done().
+ * The lock is released when the job throws as well.
+ *
+ * @method KagoDB.prototype.lock
+ * @param {String} id - item ID, or null for the collection-wide lock
+ * @param {Function} job - function(done) {} - call done(err, ...) to release the lock
+ * @param {Function} [callback] - function(err, ...) {} - arguments given to done
+ * @returns {KagoDB} collection instance itself for method chaining
+ * @example
+ * var collection = new KagoDB({storage: 'yaml', path: './data', lock: true});
+ *
+ * collection.lock(null, function(done) {
+ *   var locked = this;
+ *   locked.read('counter', function(err, item) {
+ *     if (err) return done(err);
+ *     item.count++;
+ *     locked.write('counter', item, done);
+ *   });
+ * }, function(err) {
+ *   console.log(err || 'counted');
+ * });
+ */
+
+function lock(id, job, callback) {
+  var self = this;
+  var whole = collection_lock(this);
+  var path = (id === null || 'undefined' === typeof id) ? whole : this.escape(id) + LOCK_SUFFIX;
+  var timeout = lock_timeout(this);
+  var stale = lock_stale(this);
+  var start = Date.now();
+  var token;
+  callback = callback || NOP;
+  acquire();
+  return this;
+
+  function acquire() {
+    var opts = {
+      flag: 'wx'
+    };
+    fs.writeFile(path, process.pid + '', opts, function(err) {
+      if (!err) {
+        locked();
+      } else if (err.code == 'ENOENT') {
+        // make a shard directory at the first time
+        mkdirp(path.replace(/\/[^\/]*$/, ''), function(err) {
+          if (err) return callback(err);
+          acquire();
+        });
+      } else if (err.code == 'EEXIST') {
+        check_stale(path);
+      } else {
+        callback(err);
+      }
+    });
+  }
+
+  function check_stale(file) {
+    fs.stat(file, function(err, stat) {
+      if (err || stat.mtime.getTime() >= Date.now() - stale) return retry();
+      self.emit('warn', 'stale lock removed:', file);
+      fs.unlink(file, function() {
+        retry();
+      });
+    });
+  }
+
+  function retry() {
+    if (Date.now() - start > timeout) {
+      var err = new Error('lock timeout: ' + path);
+      return callback(err);
+    }
+    setTimeout(acquire, LOCK_RETRY);
+  }
+
+  function locked() {
+    if (path == whole) {
+      token = lock_held[whole] = {};
+      return run();
+    }
+    if (is_lock_owner(self)) return run();
+
+    // an item lock must not be taken while another caller holds the collection lock
+    fs.stat(whole, function(err, stat) {
+      if (err) return run();
+      fs.unlink(path, function() {
+        if (stat.mtime.getTime() < Date.now() - stale) {
+          check_stale(whole);
+        } else {
+          retry();
+        }
+      });
+    });
+  }
+
+  function run() {
+    var released;
+    var acquired = Date.now();
+    var timer = setInterval(touch, Math.max(stale / 3, LOCK_RETRY));
+    if (timer.unref) timer.unref();
+    try {
+      job.call(token ? lock_owner(self, token) : self, release);
+    } catch (err) {
+      release(err);
+    }
+
+    function touch() {
+      if (Date.now() - acquired > timeout) {
+        // let the lock go stale when the job never calls done()
+        clearInterval(timer);
+        self.emit('warn', 'lock held too long:', path);
+        return;
+      }
+      var now = new Date();
+      fs.utimes(path, now, now, NOP);
+    }
+
+    function release() {
+      var args = arguments;
+      if (released) return;
+      released = true;
+      clearInterval(timer);
+      if (token && lock_held[whole] === token) delete lock_held[whole];
+      fs.unlink(path, function() {
+        callback.apply(null, args);
+      });
+    }
+  }
+}
+
+function collection_lock(self) {
+  return self.file_folder() + '/' + LOCK_SUFFIX;
+}
+
+// a collection which the job holding the collection lock uses
+function lock_owner(self, token) {
+  var f = function() {};
+  f.prototype = self;
+  var owner = new f();
+  owner._lock_owner = token;
+  return owner;
+}
+
+function is_lock_owner(self) {
+  var token = lock_held[collection_lock(self)];
+  return !!token && token === self._lock_owner;
+}
+
+function lock_timeout(self) {
+  return self.get('lock_timeout') || Math.max(LOCK_TIMEOUT, lock_stale(self) * 2);
+}
+
+function lock_stale(self) {
+  return self.get('lock_stale') || LOCK_STALE;
+}
+
+function wait_unlock(path, timeout, callback) {
+  var start = Date.now();
+  check();
+
+  function check() {
+    fs.stat(path, function(err) {
+      if (err) return callback();
+      if (Date.now() - start > timeout) {
+        err = new Error('lock timeout: ' + path);
+        return callback(err);
+      }
+      setTimeout(check, LOCK_RETRY);
+    });
+  }
+}
+
+// candidate paths of an item which may be compressed or not
+function variants(self, path) {
+  if (!self.get('compress')) return [path];
+  var base = path.replace(COMPRESS_SUFFIX, '');
+  var list = [path, base];
+  Object.keys(COMPRESSORS).forEach(function(key) {
+    var variant = base + COMPRESSORS[key].suffix;
+    if (list.indexOf(variant) < 0) list.push(variant);
+  });
+  return list;
+}
+
+function find_variant(self, path, callback) {
+  var list = variants(self, path);
+  utils.eachSeries(list, function(variant, next) {
+    fs.stat(variant, function(err, stat) {
+      if (err) return next();
+      callback(null, variant, stat);
+      next(true); // found
+    });
+  }, function(found) {
+    if (!found) callback(null, path);
+  });
+}
+
+function unlink_variants(self, path, callback) {
+  var list = variants(self, path).slice(1);
+  utils.eachSeries(list, function(variant, next) {
+    fs.unlink(variant, function() {
+      next();
+    });
+  }, callback);
+}
+
+function compressor(path) {
+  var match = path.match(COMPRESS_SUFFIX);
+  if (!match) return;
+  var suffix = match[0].toLowerCase();
+  for (var key in COMPRESSORS) {
+    if (COMPRESSORS[key].suffix == suffix) return COMPRESSORS[key];
+  }
+}
+
+function deflate(self, path, encoded, callback) {
+  var comp = compressor(path);
+  if (!comp) return callback(null, encoded);
+  var func = zlib[comp.deflate];
+  if (!func) return callback(new Error('compression not supported: ' + comp.deflate));
+  func.call(zlib, encoded, callback);
+}
+
+function decode_file(self, path, content, callback) {
+  var comp = compressor(path);
+  if (!comp) return self.decode(content.toString('utf8'), callback);
+  var func = zlib[comp.inflate];
+  if (!func) return callback(new Error('compression not supported: ' + comp.inflate));
+  func.call(zlib, content, function(err, content) {
+    if (err) return callback(err);
+    self.decode(content.toString('utf8'), callback);
+  });
+}
+
+// reads item IDs in the folder and its shard directories in batches
+function DirReader(self) {
+  this.collection = self;
+  this.size = self.get('index_batch') || INDEX_BATCH;
+  this.stack = [{
+    path: self.file_folder(),
+    prefix: '',
+    depth: shard_depth(self)
+  }];
+}
+
+DirReader.prototype.next = function(callback) {
+  var self = this;
+  var stack = this.stack;
+  var batch = [];
+  step();
+
+  function step() {
+    if (batch.length >= self.size) return callback(null, batch);
+    var top = stack[stack.length - 1];
+    if (!top) return callback(null, batch.length ? batch : null); // null at the end
+    if (!top.dir) {
+      fs.opendir(top.path, function(err, dir) {
+        if (err) return callback(err);
+        top.dir = dir;
+        // a file renamed during the scan may be listed twice, as well as compressed variants
+        if (!top.depth) top.found = Object.create(null);
+        step();
+      });
+      return;
+    }
+    top.dir.read(function(err, dirent) {
+      if (err) return callback(err);
+      if (!dirent) {
+        stack.pop();
+        top.dir.close(function() {
+          step();
+        });
+        return;
+      }
+      var name = dirent.name;
+      if (top.depth) {
+        if (name.substr(0, 1) != '.' && dirent.isDirectory() && !ATTACHMENT_DIR.test(name)) {
+          stack.push({
+            path: top.path + '/' + name,
+            prefix: top.prefix + name + '/',
+            depth: top.depth - 1
+          });
+        }
+        return step();
+      }
+      var id = self.collection.unescape(top.prefix + name);
+      if (!(id instanceof Error) && !top.found[id]) {
+        top.found[id] = true;
+        batch.push(id);
+      }
+      step();
+    });
+  }
+};
+
+DirReader.prototype.close = function() {
+  this.stack.forEach(function(top) {
+    if (top.dir) top.dir.close(NOP);
+  });
+  this.stack = [];
+};
+
+// lists files in the folder and its sub directories down to the depth specified
+// files in upper directories are listed as well when all is true
+// attachment directories are listed as files
+function walk(folder, depth, all, callback) {
+  fs.readdir(folder, function(err, list) {
+    if (err) return callback(err);
+    if (!depth) return callback(null, list);
+
+    var found = [];
+    list = list.filter(function(name) {
+      return name.substr(0, 1) != '.';
+    });
+    utils.eachSeries(list, function(name, next) {
+      var path = folder + '/' + name;
+      fs.stat(path, function(err, stat) {
+        if (err) return next(err);
+        if (!stat.isDirectory() || ATTACHMENT_DIR.test(name)) {
+          if (all) found.push(name);
+          return next();
+        }
+        walk(path, depth - 1, all, function(err, sub) {
+          if (err) return next(err);
+          sub.forEach(function(child) {
+            found.push(name + '/' + child);
+          });
+          next();
+        });
+      });
+    }, function(err) {
+      callback(err, found);
+    });
+  });
+}
+
+function mkdirp(path, callback) {
+  fs.mkdir(path, function(err) {
+    if (!err || err.code == 'EEXIST') return callback();
+    if (err.code != 'ENOENT') return callback(err);
+    var parent = path.replace(/\/[^\/]*$/, '');
+    if (parent == path || !parent) return callback(err);
+    mkdirp(parent, function(err) {
+      if (err) return callback(err);
+      mkdirp(path, callback);
+    });
+  });
+}
+
+/**
+ * This writes a file atomically.
+ * The content is written to a temporary file and then renamed into place.
+ *
+ * @private
+ * @param {String} path - file path
+ * @param {String|Buffer|Stream} data - file content
+ * @param {Boolean} sync - true to call fsync before renaming
+ * @param {Function} callback - function(err) {}
+ */
+
+file_base.write_file = function(path, data, sync, callback) {
+  var temp = path + '.' + process.pid + '-' + (++temp_seq) + '.tmp';
+  var called;
+  temp_pending[temp] = true;
+
+  if (data && 'function' == typeof data.pipe) {
+    var writable = fs.createWriteStream(temp);
+    data.on('error', function(err) {
+      writable.destroy();
+      done(err);
+    });
+    writable.on('error', done);
+    writable.on('finish', function() {
+      if (!sync) return rename();
+      fs.open(temp, 'r+', function(err, fd) {
+        if (err) return done(err);
+        fs.fsync(fd, function(err) {
+          fs.close(fd, function(err2) {
+            rename(err || err2);
+          });
+        });
+      });
+    });
+    data.pipe(writable);
+  } else if (sync) {
+    fs.open(temp, 'w', function(err, fd) {
+      if (err) return done(err);
+      if (Buffer.isBuffer(data)) {
+        fs.write(fd, data, 0, data.length, null, after_write);
+      } else {
+        fs.write(fd, data + '', null, 'utf8', after_write);
+      }
+
+      function after_write(err) {
+        if (err) return close(err);
+        fs.fsync(fd, close);
+      }
+
+      function close(err) {
+        fs.close(fd, function(err2) {
+          rename(err || err2);
+        });
+      }
+    });
+  } else {
+    fs.writeFile(temp, data, rename);
+  }
+
+  function rename(err) {
+    if (err) return done(err);
+    fs.rename(temp, path, done);
+  }
+
+  function done(err) {
+    if (called) return;
+    called = true;
+    delete temp_pending[temp];
+    if (err) {
+      fs.unlink(temp, function() {
+        callback(err);
+      });
+    } else {
+      callback();
+    }
+  }
+};
+
 function NOP() {}
\ No newline at end of file
@@ -7,9 +7,11 @@ var CursorBulk = require('../core/cursor_bulk');
 module.exports = function() {
   var mixin = {};
 
+  mixin.aggregate = aggregate;
   mixin.find = find;
   mixin.findOne = findOne;
   mixin.count = count;
+  mixin.distinct = distinct;
   mixin.insert = insert;
   mixin.save = save;
   mixin.remove = remove;
@@ -19,6 +21,35 @@ module.exports = function() {
   return mixin;
 };
 
+function aggregate(pipeline, options, callback) {
+  if ('function' == typeof options && !callback) {
+    callback = options;
+    options = null;
+  }
+
+  var self = this;
+  var url = this.http_endpoint();
+  var data = this.http_param();
+  data.method = 'aggregate';
+  data.pipeline = pipeline;
+  if (options) data.options = options;
+  var opts = {
+    method: 'POST',
+    url: url,
+    json: data
+  };
+  this.ajax(opts, response_parser('data', after_ajax));
+
+  function after_ajax(err, list) {
+    callback = callback || NOP;
+    if (!err && list && !(list instanceof Array) && list.length) {
+      // jQuery may return an Array-like object
+      list = Array.prototype.slice.call(list);
+    }
+    callback(err, list);
+  }
+}
+
 function find(condition, projection, options) {
   options = options || {};
 
@@ -130,6 +161,29 @@ function count(condition, options, callback) {
   this.ajax(opts, response_parser('count', callback));
 }
 
+function distinct(field, condition, options, callback) {
+  if ('function' == typeof condition && !options && !callback) {
+    callback = condition;
+    condition = null;
+  } else if ('function' == typeof options && !callback) {
+    callback = options;
+    options = null;
+  }
+
+  var url = this.http_endpoint();
+  var data = this.http_param();
+  data.method = 'distinct';
+  data.field = field;
+  if (condition) data.condition = condition;
+  if (options) data.options = options;
+  var opts = {
+    method: 'POST',
+    url: url,
+    json: data
+  };
+  this.ajax(opts, response_parser('data', callback));
+}
+
 function insert(item, callback) {
   var url = this.http_endpoint();
   if (this.wrap) {
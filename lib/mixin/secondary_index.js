@@ -0,0 +1,576 @@
+/*! secondary_index.js */
+
+/**
+ * This mixin provides
+ * [ensureIndex()]{@linkcode KagoDB#ensureIndex},
+ * [dropIndex()]{@linkcode KagoDB#dropIndex} and
+ * [indexes()]{@linkcode KagoDB#indexes}
+ * methods to maintain in-memory secondary indexes on item fields.
+ *
+ * [write()]{@linkcode KagoDB#write} and
+ * [erase()]{@linkcode KagoDB#erase}
+ * keep the indexes up to date.
+ * find() and other queries read only the items which an index returns
+ * when a condition has equality or $in operators on every field of the index.
+ * Such items are still checked against the whole condition.
+ *
+ * A unique index rejects items which have the same values as another item.
+ * write() and the query methods which write items, such as insert(), save(), update() and findAndModify(),
+ * fail with [DuplicateKeyError]{@linkcode DuplicateKeyError} instead of writing them.
+ * Values are compared strictly for uniqueness, so "1" and 1 are different.
+ * A sparse index skips items which have none of the fields.
+ *
+ * Indexes are held per collection instance.
+ * Items changed by other instances or processes are not reflected until the index is built again.
+ *
+ * @class secondary_index
+ * @mixin
+ * @example
+ * var collection = new KagoDB({storage: 'json', path: './data'});
+ *
+ * collection.ensureIndex('email', function(err, name) {
+ *   console.log(name); // => 'email_1'
+ *
+ *   // this reads the matched items only
+ *   collection.find({email: 'foo@example.com'}).toArray(function(err, list) {
+ *     console.log(list);
+ *   });
+ * });
+ */
+
+var DuplicateKeyError = require('../core/duplicate_key_error');
+
+module.exports = function() {
+  return mixin;
+
+  function mixin() {
+    var _write = this.write;
+    var _erase = this.erase;
+
+    this.write = function(id, item, callback) {
+      var self = this;
+      callback = callback || NOP;
+      if (!this._indexes) return _write.call(this, id, item, callback);
+
+      // unique indexes must be ready to check items
+      wait_unique(this, function() {
+        var err = check_unique(self, [id], [item]);
+        if (err) return callback(err);
+        var release = reserve(self, id, item);
+        _write.call(self, id, item, function(err) {
+          release();
+          if (!err) update(self, id, item);
+          callback.apply(this, arguments);
+        });
+      });
+    };
+
+    this.erase = function(id, callback) {
+      var self = this;
+      callback = callback || NOP;
+      if (!this._indexes) return _erase.call(this, id, callback);
+      _erase.call(this, id, function(err) {
+        if (!err) update(self, id);
+        callback.apply(this, arguments);
+      });
+    };
+
+    this.ensureIndex = ensureIndex;
+    this.dropIndex = dropIndex;
+    this.indexes = indexes;
+    this.index_lookup = index_lookup;
+    this.unique_check = unique_check;
+  }
+};
+
+/**
+ * This builds a secondary index on the fields specified, unless it exists.
+ * It fails when an index of the same name exists with different fields or options.
+ * A field name could have dots to index a nested field, such as "address.city".
+ *
+ * @method KagoDB.prototype.ensureIndex
+ * @param {String|Array|Object} fields - a field name, an array of field names or an object such as {"name": 1}
+ * @param {Object} [options] - "name", "unique" and "sparse" options
+ * @param {Function} [callback] - function(err, name) {}
+ * @returns {KagoDB} collection instance itself for method chaining
+ * @example
+ * collection.ensureIndex({last: 1, first: 1}, function(err, name) {
+ *   console.log(name); // => 'last_1_first_1'
+ * });
+ *
+ * // this fails with DuplicateKeyError when items already have the same slug
+ * collection.ensureIndex('slug', {unique: true, sparse: true}, function(err, name) {
+ *   if (err) console.error(err);
+ * });
+ */
+
+function ensureIndex(fields, options, callback) {
+  if ('function' == typeof options) {
+    callback = options;
+    options = null;
+  }
+  options = options || {};
+  callback = callback || NOP;
+
+  var spec = parse_fields(fields);
+  if (!spec) {
+    var err = new Error('invalid index fields: ' + fields);
+    callback(err);
+    return this;
+  }
+
+  var name = options.name || spec.name;
+  var unique = !!options.unique;
+  var sparse = !!options.sparse;
+  var map = this._indexes || (this._indexes = Object.create(null));
+  var entry = map[name];
+
+  if (entry) {
+    if (JSON.stringify(entry.fields) != JSON.stringify(spec.fields) || entry.unique != unique || entry.sparse != sparse) {
+      callback(new Error('index exists with different options: ' + name));
+    } else if (entry.ready) {
+      callback(null, name);
+    } else {
+      entry.waiting.push(callback);
+    }
+    return this;
+  }
+
+  entry = map[name] = {
+    name: name,
+    key: spec.key,
+    fields: spec.fields,
+    unique: unique,
+    sparse: sparse,
+    keys: Object.create(null), // key => {id: true}
+    ids: Object.create(null), // id => key
+    values: Object.create(null), // unique value => id
+    uniques: Object.create(null), // id => unique value
+    reserved: Object.create(null), // unique value => id being written
+    touched: Object.create(null), // IDs written while building
+    waiting: [callback]
+  };
+
+  build(this, entry, function(err) {
+    var waiting = entry.waiting;
+    delete entry.waiting;
+    delete entry.touched;
+    if (err) {
+      if (map[name] === entry) delete map[name];
+    } else {
+      entry.ready = true;
+    }
+    waiting.forEach(function(callback) {
+      if (err) {
+        callback(err);
+      } else {
+        callback(null, name);
+      }
+    });
+  });
+
+  return this;
+}
+
+/**
+ * This removes a secondary index.
+ *
+ * @method KagoDB.prototype.dropIndex
+ * @param {String|Array|Object} name - index name or fields which ensureIndex() was called with
+ * @param {Function} [callback] - function(err) {}
+ * @returns {KagoDB} collection instance itself for method chaining
+ * @example
+ * collection.dropIndex('email_1', function(err) {
+ *   if (err) console.error(err);
+ * });
+ */
+
+function dropIndex(name, callback) {
+  var map = this._indexes;
+  callback = callback || NOP;
+  if (map && !map[name]) {
+    var spec = parse_fields(name);
+    if (spec) name = spec.name;
+  }
+  if (!map || !map[name]) {
+    var err = new Error('index not found: ' + name);
+    callback(err);
+    return this;
+  }
+  delete map[name];
+  callback();
+  return this;
+}
+
+/**
+ * This invokes a callback function with a list of secondary indexes.
+ * Each index has "name", "key", "unique" and "sparse" properties.
+ *
+ * @method KagoDB.prototype.indexes
+ * @param {Function} callback - function(err, list) {}
+ * @returns {KagoDB} collection instance itself for method chaining
+ * @example
+ * collection.indexes(function(err, list) {
+ *   console.log(list); // => [{name: 'email_1', key: {email: 1}, unique: false, sparse: false}]
+ * });
+ */
+
+function indexes(callback) {
+  var map = this._indexes || {};
+  var list = Object.keys(map).map(function(name) {
+    var entry = map[name];
+    return {
+      name: name,
+      key: JSON.parse(JSON.stringify(entry.key)),
+      unique: entry.unique,
+      sparse: entry.sparse
+    };
+  });
+  callback = callback || NOP;
+  callback(null, list);
+  return this;
+}
+
+/**
+ * This returns a list of item IDs which may match the condition, looked up via a secondary index.
+ * It returns undefined when no index is available for the condition.
+ * The Cursor constructor calls this to avoid reading all items.
+ * Other mixins could return a function(callback) instead, which gives the list asynchronously.
+ *
+ * @method KagoDB.prototype.index_lookup
+ * @param {Object} condition - query parameters
+ * @returns {Array|Function} list of IDs
+ * @example
+ * var ids = collection.index_lookup({email: 'foo@example.com'});
+ */
+
+function index_lookup(condition) {
+  var map = this._indexes;
+  if (!map || !condition || 'object' != typeof condition) return;
+
+  var values = {};
+  if (!parse_condition(condition, '', values)) return;
+
+  // the index which covers the most fields
+  var found;
+  Object.keys(map).forEach(function(name) {
+    var entry = map[name];
+    if (!entry.ready) return;
+    if (found && found.fields.length >= entry.fields.length) return;
+    var covered = entry.fields.every(function(field) {
+      // sparse indexes do not have items without the fields
+      return values[field] && !(entry.sparse && values[field].indexOf('null') > -1);
+    });
+    if (covered) found = entry;
+  });
+  if (!found) return;
+
+  // combinations of keys for compound indexes
+  var keys = [
+    []
+  ];
+  found.fields.forEach(function(field) {
+    var buf = [];
+    values[field].forEach(function(key) {
+      keys.forEach(function(prefix) {
+        buf.push(prefix.concat([key]));
+      });
+    });
+    keys = buf;
+  });
+
+  var ids = Object.create(null);
+  keys.forEach(function(list) {
+    add(found.keys[join_keys(list)]);
+  });
+  add(found.keys[ANY]);
+  return Object.keys(ids);
+
+  function add(bucket) {
+    if (!bucket) return;
+    Object.keys(bucket).forEach(function(id) {
+      ids[id] = true;
+    });
+  }
+}
+
+/**
+ * This checks items against unique indexes before writing them.
+ * insert() calls this to reject all items when some of them are duplicated.
+ *
+ * @method KagoDB.prototype.unique_check
+ * @param {Array} ids - list of item IDs
+ * @param {Array} items - list of items
+ * @returns {DuplicateKeyError} error when duplicated
+ * @example
+ * var err = collection.unique_check(['foo'], [{username: 'foo'}]);
+ */
+
+function unique_check(ids, items) {
+  if (!this._indexes) return;
+  return check_unique(this, ids, items);
+}
+
+// items which do not have a key for equality are returned for every lookup
+var ANY = 'any';
+
+function build(self, entry, callback) {
+  self.index(function(err, list) {
+    if (err) return callback(err);
+    list = list || [];
+    iterator();
+
+    function iterator(err) {
+      if (err) return callback(err);
+      if (!list.length) return callback();
+      var id = list.shift() + '';
+      if (entry.touched[id]) return iterator();
+      self.read(id, function(err, item) {
+        if (entry.touched[id]) return iterator();
+        if (err) return callback(err);
+        iterator(add_item(entry, id, item));
+      });
+    }
+  });
+}
+
+function update(self, id, item) {
+  var map = self._indexes;
+  id += '';
+  Object.keys(map).forEach(function(name) {
+    var entry = map[name];
+    if (entry.touched) entry.touched[id] = true;
+    remove_item(entry, id);
+    if (item) add_item(entry, id, item);
+  });
+}
+
+function add_item(entry, id, item) {
+  var fields = entry.fields;
+  if (entry.sparse && !has_fields(fields, item)) return;
+
+  var key = item_key(fields, item);
+  var bucket = entry.keys[key] || (entry.keys[key] = Object.create(null));
+  bucket[id] = true;
+  entry.ids[id] = key;
+
+  if (!entry.unique) return;
+  var value = unique_value(fields, item);
+  if (!value) return;
+  var owner = entry.values[value];
+  if (owner && owner !== id) return new DuplicateKeyError(entry.name, key_object(fields, item), owner);
+  entry.values[value] = id;
+  entry.uniques[id] = value;
+}
+
+function remove_item(entry, id) {
+  var value = entry.uniques[id];
+  if (value) {
+    delete entry.uniques[id];
+    if (entry.values[value] === id) delete entry.values[value];
+  }
+
+  var key = entry.ids[id];
+  if (!key) return;
+  var bucket = entry.keys[key];
+  delete entry.ids[id];
+  if (!bucket) return;
+  delete bucket[id];
+  if (!Object.keys(bucket).length) delete entry.keys[key];
+}
+
+function wait_unique(self, callback) {
+  var map = self._indexes;
+  var building = Object.keys(map).filter(function(name) {
+    return map[name].unique && !map[name].ready;
+  });
+  if (!building.length) return callback();
+  map[building[0]].waiting.push(function() {
+    wait_unique(self, callback);
+  });
+}
+
+function check_unique(self, ids, items) {
+  var map = self._indexes;
+  var names = Object.keys(map);
+  for (var i = 0; i < names.length; i++) {
+    var entry = map[names[i]];
+    if (!entry.unique || !entry.ready) continue;
+    var fields = entry.fields;
+    var local = {};
+    for (var j = 0; j < items.length; j++) {
+      var item = items[j];
+      var id = ids[j] + '';
+      if (entry.sparse && !has_fields(fields, item)) continue;
+      var value = unique_value(fields, item);
+      if (!value) continue;
+      var owner = entry.values[value] || entry.reserved[value] || local[value];
+      if (owner && owner !== id) return new DuplicateKeyError(entry.name, key_object(fields, item), owner);
+      local[value] = id;
+    }
+  }
+}
+
+// this prevents other writes from taking the same values until the write completes
+function reserve(self, id, item) {
+  var map = self._indexes;
+  var list = [];
+  id += '';
+  Object.keys(map).forEach(function(name) {
+    var entry = map[name];
+    if (!entry.unique) return;
+    var value = unique_value(entry.fields, item);
+    if (!value || entry.reserved[value]) return;
+    entry.reserved[value] = id;
+    list.push([entry, value]);
+  });
+  return function() {
+    list.forEach(function(pair) {
+      var entry = pair[0];
+      var value = pair[1];
+      if (entry.reserved[value] === id) delete entry.reserved[value];
+    });
+  };
+}
+
+// values are compared strictly for uniqueness
+function unique_value(fields, item) {
+  var list = fields.map(function(field) {
+    var value = get_value(item, field);
+    return ('undefined' === typeof value) ? null : value;
+  });
+  try {
+    return JSON.stringify(list);
+  } catch (e) {
+    // not comparable
+  }
+}
+
+function key_object(fields, item) {
+  var key = {};
+  fields.forEach(function(field) {
+    key[field] = get_value(item, field);
+  });
+  return key;
+}
+
+function has_fields(fields, item) {
+  return fields.some(function(field) {
+    return 'undefined' !== typeof get_value(item, field);
+  });
+}
+
+function item_key(fields, item) {
+  var list = [];
+  for (var i = 0; i < fields.length; i++) {
+    var key = to_key(get_value(item, fields[i]));
+    if (!key) return ANY;
+    list.push(key);
+  }
+  return join_keys(list);
+}
+
+function join_keys(list) {
+  return JSON.stringify(list);
+}
+
+function get_value(item, field) {
+  var path = field.split('.');
+  for (var i = 0; i < path.length; i++) {
+    if (!item || 'object' != typeof item) return;
+    item = item[path[i]];
+  }
+  return item;
+}
+
+// values which are loosely equal (==) to each other have the same key
+function to_key(value) {
+  var type = typeof value;
+  if (value === null || value === undefined) return 'null';
+  try {
+    if ('object' == type || 'function' == type) {
+      value = to_primitive(value);
+      type = typeof value;
+      if (value === null || value === undefined) return 'null';
+    }
+    if ('string' == type) {
+      var num = +value;
+      return isNaN(num) ? 's:' + value : 'n:' + num;
+    }
+    if ('number' == type || 'boolean' == type || 'bigint' == type) {
+      return 'n:' + Number(value);
+    }
+  } catch (e) {
+    // not comparable
+  }
+}
+
+function to_primitive(value) {
+  if (value instanceof Date) return String(value);
+  var prim = ('function' == typeof value.valueOf) ? value.valueOf() : value;
+  if (prim && ('object' == typeof prim || 'function' == typeof prim)) prim = String(value);
+  return prim;
+}
+
+// {"a": 1, "b.c": {"$in": [2, 3]}} => {"a": ["n:1"], "b.c": ["n:2", "n:3"]}
+function parse_condition(condition, prefix, values) {
+  var found;
+  Object.keys(condition).forEach(function(key) {
+    var val = condition[key];
+    var keys;
+    if ('$in' == key) {
+      if (!prefix || !(val instanceof Array)) return;
+      keys = val.map(to_key);
+      if (keys.some(is_empty)) return;
+      set(prefix.substr(0, prefix.length - 1), keys);
+    } else if ('$' == key.substr(0, 1)) {
+      // other operators are checked by the condition
+    } else if (val instanceof Array) {
+      // obop does not support this
+    } else if (val && 'object' == typeof val) {
+      if (parse_condition(val, prefix + key + '.', values)) found = true;
+    } else {
+      keys = [to_key(val)];
+      if (keys.some(is_empty)) return;
+      set(prefix + key, keys);
+    }
+  });
+  return found;
+
+  function set(field, keys) {
+    if (values[field]) return;
+    values[field] = keys;
+    found = true;
+  }
+}
+
+function parse_fields(fields) {
+  var key = {};
+  if ('string' == typeof fields) {
+    key[fields] = 1;
+  } else if (fields instanceof Array) {
+    fields.forEach(function(field) {
+      key[field] = 1;
+    });
+  } else if (fields && 'object' == typeof fields) {
+    key = fields;
+  } else {
+    return;
+  }
+  var list = Object.keys(key);
+  if (!list.length) return;
+  var name = list.map(function(field) {
+    return field + '_' + key[field];
+  }).join('_');
+  return {
+    key: key,
+    fields: list,
+    name: name
+  };
+}
+
+function is_empty(key) {
+  return !key;
+}
+
+function NOP() {}
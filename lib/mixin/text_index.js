@@ -0,0 +1,382 @@
+/*! text_index.js */
+
+/**
+ * This mixin provides a full-text search feature with an in-memory inverted index.
+ * It overrides
+ * [find()]{@linkcode KagoDB#find}
+ * method to support $text query operator as MongoDB does,
+ * and [write()]{@linkcode KagoDB#write} and
+ * [erase()]{@linkcode KagoDB#erase}
+ * methods to keep the index up to date.
+ *
+ * "text_fields" option specifies string fields to index as an array of field names,
+ * or an object which maps field names to weights.
+ * A field name could have dots to index a nested field.
+ * Texts are lowercased and split into words, then stop words are removed and words are stemmed.
+ * Chinese, Japanese and Korean texts are split into bigrams as they do not have spaces between words.
+ *
+ * $search string has words to match any of them.
+ * A word which starts with "-" excludes items which have it.
+ * A phrase in double quotes requires its words in the same order, ignoring stop words between them.
+ * $search is the only option supported. Other options, such as $language and $caseSensitive, cause an error.
+ * Items found are sorted by relevance per default,
+ * and have a score at the field which "text_score" option specifies (default: "_score").
+ * Use it for sort() and projection.
+ *
+ * The index is built at the first $text query and held per collection instance.
+ * Items changed by other instances or processes are not reflected.
+ *
+ * This mixin must be loaded after [storage]{@linkcode storage} mixin or other storage-type mixins.
+ *
+ * @class text_index
+ * @mixin
+ * @example
+ * var MyKago = KagoDB.inherit();
+ * MyKago.mixin(KagoDB.bundle.text_index());
+ *
+ * var opts = {
+ *   storage: 'yaml',
+ *   path: './data/',
+ *   text_fields: {title: 10, body: 1}
+ * };
+ * var collection = new MyKago(opts);
+ *
+ * var condition = {$text: {$search: 'kago 東京'}};
+ * collection.find(condition, {title: 1, _score: 1}).sort({_score: -1}).toArray(function(err, list) {
+ *   console.log(list); // => [{title: '...', _score: 1.23}, ...]
+ * });
+ */
+
+var DEFAULT_SCORE = '_score';
+
+var STOP_WORDS = Object.create(null);
+['a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'if', 'in', 'into', 'is', 'it',
+  'no', 'not', 'of', 'on', 'or', 'such', 'that', 'the', 'their', 'then', 'there', 'these',
+  'they', 'this', 'to', 'was', 'will', 'with'
+].forEach(function(word) {
+  STOP_WORDS[word] = true;
+});
+
+// Hiragana, Katakana, CJK Unified Ideographs, Hangul Syllables and Halfwidth Katakana
+var CJK = '\\u3040-\\u30ff\\u3400-\\u4dbf\\u4e00-\\u9fff\\uac00-\\ud7af\\uff66-\\uff9f';
+var TOKEN_RE = new RegExp('[' + CJK + ']+|[0-9a-z\\u00c0-\\u024f]+', 'g');
+var CJK_RE = new RegExp('^[' + CJK + ']');
+
+module.exports = function() {
+  return mixin;
+
+  function mixin() {
+    var _find = this.find;
+    var _write = this.write;
+    var _erase = this.erase;
+
+    this.find = function(condition, projection, options) {
+      var text = condition && 'object' == typeof condition && condition.$text;
+      if (!text) return _find.apply(this, arguments);
+
+      var self = this;
+      var rest = {};
+      Object.keys(condition).forEach(function(key) {
+        if (key != '$text') rest[key] = condition[key];
+      });
+
+      // the cursor reads items matched with scores
+      var scores;
+      var f = function() {};
+      f.prototype = this;
+      var collection = new f();
+      collection.index_lookup = function() {
+        return lookup;
+      };
+      collection.read = function(id, callback) {
+        self.read(id, function(err, item) {
+          if (!err && item && 'object' == typeof item) {
+            item[self.get('text_score') || DEFAULT_SCORE] = scores[id];
+          }
+          callback(err, item);
+        });
+      };
+      return _find.call(collection, rest, projection, options);
+
+      function lookup(callback) {
+        search(self, text, function(err, result) {
+          if (err) return callback(err);
+          scores = result;
+          var ids = Object.keys(scores).sort(function(a, b) {
+            return (scores[b] - scores[a]) || ((a > b) - (a < b));
+          });
+          callback(null, ids);
+        });
+      }
+    };
+
+    this.write = function(id, item, callback) {
+      var self = this;
+      callback = callback || NOP;
+      if (!this._text_index) return _write.call(this, id, item, callback);
+      _write.call(this, id, item, function(err) {
+        if (!err) update(self, id, item);
+        callback.apply(this, arguments);
+      });
+    };
+
+    this.erase = function(id, callback) {
+      var self = this;
+      callback = callback || NOP;
+      if (!this._text_index) return _erase.call(this, id, callback);
+      _erase.call(this, id, function(err) {
+        if (!err) update(self, id);
+        callback.apply(this, arguments);
+      });
+    };
+  }
+};
+
+// "Running indexes" => ["run", "index"], "東京都" => ["東京", "京都"]
+function tokenize(text) {
+  text = (text + '');
+  if (text.normalize) text = text.normalize('NFKC'); // full-width to half-width
+  var words = text.toLowerCase().match(TOKEN_RE) || [];
+  var list = [];
+  words.forEach(function(word) {
+    if (CJK_RE.test(word)) {
+      if (word.length == 1) return list.push(word);
+      for (var i = 0; i < word.length - 1; i++) {
+        list.push(word.substr(i, 2)); // bigram
+      }
+    } else if (!STOP_WORDS[word]) {
+      list.push(stem(word));
+    }
+  });
+  return list;
+}
+
+// "indexes" => "index", "running" => "run", "cities" => "city"
+function stem(word) {
+  if (word.length < 4 || /^\d+$/.test(word)) return word;
+  if (/ies$/.test(word)) return word.replace(/ies$/, 'y');
+  if (/(ss|us|is)$/.test(word)) return word;
+  if (/(x|ch|sh|ss)es$/.test(word)) return word.replace(/es$/, '');
+  if (/s$/.test(word)) return word.replace(/s$/, '');
+  if (/[^aeiou]ing$/.test(word) && word.length > 5) return undouble(word.replace(/ing$/, ''));
+  if (/[^aeiou]ed$/.test(word) && word.length > 4) return undouble(word.replace(/ed$/, ''));
+  return word;
+}
+
+// "runn" => "run"
+function undouble(word) {
+  return /([^aeiouls])\1$/.test(word) ? word.substr(0, word.length - 1) : word;
+}
+
+function search(self, text, callback) {
+  var err = check_text(text);
+  if (err) return callback(err);
+  var query = parse_search(text.$search);
+  get_index(self, function(err, index) {
+    if (err) return callback(err);
+
+    var total = Object.keys(index.docs).length;
+    var scores = Object.create(null);
+    query.any.forEach(function(term) {
+      var postings = index.terms[term];
+      if (!postings) return;
+      var idf = Math.log(1 + total / Object.keys(postings).length);
+      Object.keys(postings).forEach(function(id) {
+        scores[id] = (scores[id] || 0) + postings[id] * idf;
+      });
+    });
+
+    Object.keys(scores).forEach(function(id) {
+      var terms = index.docs[id];
+      var ok = query.all.every(function(term) {
+        return terms[term];
+      }) && !query.none.some(function(term) {
+        return terms[term];
+      }) && query.phrases.every(function(words) {
+        return has_phrase(index.positions[id], words);
+      });
+      if (!ok) delete scores[id];
+    });
+
+    callback(null, scores);
+  });
+}
+
+function check_text(text) {
+  if ('object' != typeof text) return new Error('invalid $text: ' + text);
+  var keys = Object.keys(text).filter(function(key) {
+    return key != '$search';
+  });
+  if (keys.length) return new Error('unsupported $text option: ' + keys.join(', '));
+}
+
+// 'foo "bar baz" -qux' => {any: [foo, bar, baz], all: [bar, baz], none: [qux], phrases: [[bar, baz]]}
+function parse_search(search) {
+  var query = {
+    any: [],
+    all: [],
+    none: [],
+    phrases: []
+  };
+  search = (search || '') + '';
+  search = search.replace(/"([^"]*)"/g, function(match, phrase) {
+    var words = tokenize(phrase);
+    query.any = query.any.concat(words);
+    query.all = query.all.concat(words);
+    if (words.length > 1) query.phrases.push(words);
+    return ' ';
+  });
+  search.split(/\s+/).forEach(function(word) {
+    if ('-' == word.substr(0, 1)) {
+      query.none = query.none.concat(tokenize(word.substr(1)));
+    } else {
+      query.any = query.any.concat(tokenize(word));
+    }
+  });
+  query.any = query.any.filter(function(term, idx, list) {
+    return list.indexOf(term) == idx;
+  });
+  return query;
+}
+
+// words appear at consecutive positions
+function has_phrase(positions, words) {
+  var first = positions[words[0]] || [];
+  return first.some(function(pos) {
+    return words.every(function(word, i) {
+      var list = positions[word];
+      return list && list.indexOf(pos + i) > -1;
+    });
+  });
+}
+
+function get_index(self, callback) {
+  var index = self._text_index;
+  if (index && index.ready) return callback(null, index);
+  if (index) return index.waiting.push(callback);
+
+  var fields = get_fields(self);
+  if (!fields) {
+    var err = new Error('text_fields not configured');
+    return callback(err);
+  }
+
+  index = self._text_index = {
+    fields: fields,
+    terms: Object.create(null), // term => {id: weight}
+    docs: Object.create(null), // id => {term: weight}
+    positions: Object.create(null), // id => {term: [position]}
+    touched: Object.create(null), // IDs written while building
+    waiting: [callback]
+  };
+
+  build(self, index, function(err) {
+    var waiting = index.waiting;
+    delete index.waiting;
+    delete index.touched;
+    if (err) {
+      if (self._text_index === index) delete self._text_index;
+    } else {
+      index.ready = true;
+    }
+    waiting.forEach(function(callback) {
+      if (err) {
+        callback(err);
+      } else {
+        callback(null, index);
+      }
+    });
+  });
+}
+
+function get_fields(self) {
+  var fields = self.get('text_fields');
+  if ('string' == typeof fields) fields = [fields];
+  if (fields instanceof Array) {
+    var weights = {};
+    fields.forEach(function(field) {
+      weights[field] = 1;
+    });
+    fields = weights;
+  }
+  if (!fields || 'object' != typeof fields || !Object.keys(fields).length) return;
+  return fields;
+}
+
+function build(self, index, callback) {
+  self.index(function(err, list) {
+    if (err) return callback(err);
+    list = list || [];
+    iterator();
+
+    function iterator(err) {
+      if (err) return callback(err);
+      if (!list.length) return callback();
+      var id = list.shift() + '';
+      if (index.touched[id]) return iterator();
+      self.read(id, function(err, item) {
+        if (index.touched[id]) return iterator();
+        if (err) return callback(err);
+        add_doc(index, id, item);
+        iterator();
+      });
+    }
+  });
+}
+
+function update(self, id, item) {
+  var index = self._text_index;
+  id += '';
+  if (index.touched) index.touched[id] = true;
+  remove_doc(index, id);
+  if (item) add_doc(index, id, item);
+}
+
+function add_doc(index, id, item) {
+  var terms = Object.create(null);
+  var positions = Object.create(null);
+  var pos = 0;
+  Object.keys(index.fields).forEach(function(field) {
+    var weight = index.fields[field] - 0 || 1;
+    var value = get_value(item, field);
+    if (value instanceof Array) value = value.join(' ');
+    if ('string' != typeof value) return;
+    tokenize(value).forEach(function(term) {
+      terms[term] = (terms[term] || 0) + weight;
+      (positions[term] || (positions[term] = [])).push(pos++);
+    });
+    pos++; // a phrase does not span fields
+  });
+  var list = Object.keys(terms);
+  if (!list.length) return;
+  index.docs[id] = terms;
+  index.positions[id] = positions;
+  list.forEach(function(term) {
+    var postings = index.terms[term] || (index.terms[term] = Object.create(null));
+    postings[id] = terms[term];
+  });
+}
+
+function remove_doc(index, id) {
+  var terms = index.docs[id];
+  if (!terms) return;
+  delete index.docs[id];
+  delete index.positions[id];
+  Object.keys(terms).forEach(function(term) {
+    var postings = index.terms[term];
+    if (!postings) return;
+    delete postings[id];
+    if (!Object.keys(postings).length) delete index.terms[term];
+  });
+}
+
+function get_value(item, field) {
+  var path = field.split('.');
+  for (var i = 0; i < path.length; i++) {
+    if (!item || 'object' != typeof item) return;
+    item = item[path[i]];
+  }
+  return item;
+}
+
+function NOP() {}
@@ -0,0 +1,256 @@
+/*! whole_file.js */
+
+/**
+ * This mixin provides a base of file-based storages which keep a whole collection in a single file.
+ * The file contains a document which is an object keyed by item ID.
+ * The document is loaded at the first access and kept on memory.
+ * Writes are batched into one flush which writes a temporary file and renames it into place.
+ * Changes are applied to the document on memory after the flush succeeds, and discarded when it fails.
+ * "fsync" option works as well as [file_base]{@linkcode file_base} does.
+ *
+ * Serialization is performed by
+ * [encode()]{@linkcode KagoDB#encode} and
+ * [decode()]{@linkcode KagoDB#decode} methods.
+ * "flush_delay" option specifies milliseconds to wait for more writes before a flush (default: 0).
+ *
+ * @class whole_file
+ * @mixin
+ * @see json_file
+ * @see yaml_file
+ */
+
+var fs = require('fs');
+var pathlib = require('path');
+var file_base = require('./file_base');
+var utils = require('../core/utils');
+var copy = utils.copy; // isolate items on memory from callers
+
+module.exports = function() {
+  var mixin = {};
+  mixin.read = read;
+  mixin.write = write;
+  mixin.erase = erase;
+  mixin.exist = exist;
+  mixin.index = index;
+  mixin.encodes_items = encodes_items;
+  return mixin;
+};
+
+function read(id, callback) {
+  var self = this;
+  var doc = get_doc(this);
+  callback = callback || NOP;
+  load(this, doc, function(err) {
+    if (err) return callback(err);
+    var found = lookup(doc, id);
+    if (!found) {
+      err = new Error('Item not found');
+      return callback(err, null);
+    }
+    var item = copy(found.item);
+    if (self.unwrap) {
+      item = self.unwrap(item);
+    }
+    callback(null, item);
+  });
+}
+
+function write(id, item, callback) {
+  var self = this;
+  var doc = get_doc(this);
+  callback = callback || NOP;
+  if (this.wrap) {
+    item = this.wrap(item);
+  }
+  item = copy(item);
+  load(this, doc, function(err) {
+    if (err) return callback(err);
+    change(self, doc, {
+      id: id,
+      item: item
+    }, callback);
+  });
+}
+
+function erase(id, callback) {
+  var self = this;
+  var doc = get_doc(this);
+  callback = callback || NOP;
+  load(this, doc, function(err) {
+    if (err) return callback(err);
+    if (!lookup(doc, id)) {
+      err = new Error('Item not found');
+      return callback(err);
+    }
+    change(self, doc, {
+      id: id,
+      erased: true
+    }, callback);
+  });
+}
+
+function exist(id, callback) {
+  var doc = get_doc(this);
+  callback = callback || NOP;
+  load(this, doc, function(err) {
+    if (err) return callback(err);
+    callback(null, !!lookup(doc, id));
+  });
+}
+
+function index(callback) {
+  var doc = get_doc(this);
+  callback = callback || NOP;
+  load(this, doc, function(err) {
+    if (err) return callback(err);
+    var list = Object.keys(doc.items).filter(function(id) {
+      return !doc.pending[id];
+    });
+    Object.keys(doc.pending).forEach(function(id) {
+      if (!doc.pending[id].erased) list.push(id);
+    });
+    callback(null, list);
+  });
+}
+
+// the document is serialized via encode() as a whole
+function encodes_items() {
+  return true;
+}
+
+// documents are shared per file in a process
+var SharedDoc = {};
+
+function get_doc(self) {
+  var file = self.get('path');
+  if (!file) {
+    throw new Error('"path" parameter for storage is not defined');
+  }
+  file = pathlib.resolve(file);
+  return SharedDoc[file] || (SharedDoc[file] = new Doc(file));
+}
+
+function Doc(file) {
+  this.file = file;
+  this.items = null; // id => item saved
+  this.pending = Object.create(null); // id => the latest change not saved yet
+  this.changes = []; // changes waiting for the next flush
+  this.loading = null; // callbacks waiting for load
+  this.waiting = []; // callbacks waiting for the next flush
+  this.flushing = false;
+  this.timer = null;
+}
+
+// encode() and decode() apply wrap() and unwrap() which are for an item but not for a document
+function raw(self) {
+  var f = function() {};
+  f.prototype = self;
+  var context = new f();
+  context.wrap = null;
+  context.unwrap = null;
+  return context;
+}
+
+function load(self, doc, callback) {
+  if (doc.items) return callback();
+  if (doc.loading) return doc.loading.push(callback);
+  doc.loading = [callback];
+
+  fs.readFile(doc.file, 'utf8', function(err, content) {
+    if (err && err.code == 'ENOENT') {
+      done(null, {});
+    } else if (err) {
+      done(err);
+    } else if (!content.length) {
+      done(null, {});
+    } else {
+      raw(self).decode(content, done);
+    }
+  });
+
+  function done(err, items) {
+    if (!err && !items) {
+      items = {};
+    } else if (!err && 'object' != typeof items) {
+      err = new Error('Invalid document: ' + doc.file);
+    }
+    if (!err) doc.items = clone(items);
+    var list = doc.loading;
+    doc.loading = null;
+    list.forEach(function(callback) {
+      callback(err);
+    });
+  }
+}
+
+// safe for IDs such as "__proto__" and "hasOwnProperty"
+function clone(items) {
+  var map = Object.create(null);
+  Object.keys(items).forEach(function(id) {
+    map[id] = items[id];
+  });
+  return map;
+}
+
+// an item with changes not saved yet, or undefined when not found
+function lookup(doc, id) {
+  var found = doc.pending[id];
+  if (found) return found.erased ? undefined : found;
+  if (id in doc.items) return {
+    item: doc.items[id]
+  };
+}
+
+function change(self, doc, found, callback) {
+  doc.pending[found.id] = found;
+  doc.changes.push(found);
+  doc.waiting.push(callback);
+  schedule(self, doc);
+}
+
+function schedule(self, doc) {
+  if (doc.timer || doc.flushing) return;
+  var delay = self.get('flush_delay') || 0;
+  doc.timer = setTimeout(function() {
+    flush(self, doc);
+  }, delay);
+}
+
+function flush(self, doc) {
+  var list = doc.waiting;
+  var changes = doc.changes;
+  doc.waiting = [];
+  doc.changes = [];
+  doc.timer = null;
+  doc.flushing = true;
+
+  var items = clone(doc.items);
+  changes.forEach(function(found) {
+    if (found.erased) {
+      delete items[found.id];
+    } else {
+      items[found.id] = found.item;
+    }
+  });
+
+  raw(self).encode(items, function(err, encoded) {
+    if (err) return done(err);
+    file_base.write_file(doc.file, encoded, self.get('fsync'), done);
+  });
+
+  function done(err) {
+    doc.flushing = false;
+    // changes saved are applied, or discarded on error
+    if (!err) doc.items = items;
+    changes.forEach(function(found) {
+      if (doc.pending[found.id] === found) delete doc.pending[found.id];
+    });
+    if (!err) self.emit('flush', doc.file);
+    list.forEach(function(callback) {
+      callback(err);
+    });
+    if (doc.waiting.length) schedule(self, doc);
+  }
+}
+
+function NOP() {}
@@ -0,0 +1,379 @@
+/*! aggregate.js */
+
+/**
+ * This mixin provides
+ * [aggregate()]{@linkcode KagoDB#aggregate} method.
+ *
+ * @class aggregate
+ * @mixin
+ * @example
+ * var collection = new KagoDB();
+ *
+ * var pipeline = [
+ *   {$match: {category: 'fruit'}},
+ *   {$group: {_id: '$color', total: {$sum: '$price'}}},
+ *   {$sort: {total: -1}}
+ * ];
+ *
+ * collection.aggregate(pipeline, function(err, list) {
+ *   console.log(list); // => [{_id: 'red', total: 300}, {_id: 'yellow', total: 120}]
+ * });
+ */
+
+module.exports = function() {
+  var mixin = {};
+  mixin.aggregate = aggregate;
+  return mixin;
+};
+
+/**
+ * This runs an aggregation pipeline and invokes a callback function with a list of the results.
+ * Supported stages are:
+ * $match, $project, $group, $sort, $skip, $limit, $unwind and $count.
+ * $group supports accumulators:
+ * $sum, $avg, $min, $max, $push and $addToSet.
+ * A string which starts with "$", such as "$price", refers to a field value of an item.
+ *
+ * The first $match stage is given to find() so that it could use secondary indexes.
+ * The rest of stages run in memory.
+ * An invalid pipeline, such as an unknown stage or accumulator,
+ * fails with an error which has "status" property 400 for Bad Request.
+ *
+ * @method KagoDB.prototype.aggregate
+ * @param {Array} pipeline - list of stages
+ * @param {Object} [options] - reserved
+ * @param {Function} callback - function(err, list) {}
+ * @returns {KagoDB} collection instance itself for method chaining
+ * @example
+ * var pipeline = [
+ *   {$unwind: '$tags'},
+ *   {$group: {_id: '$tags', count: {$sum: 1}}},
+ *   {$sort: {count: -1}},
+ *   {$limit: 10}
+ * ];
+ *
+ * collection.aggregate(pipeline, function(err, list) {
+ *   console.log(list); // => [{_id: 'popular', count: 123}, ...]
+ * });
+ */
+
+function aggregate(pipeline, options, callback) {
+  if ('function' == typeof options && !callback) {
+    callback = options;
+    options = null;
+  }
+  callback = callback || NOP;
+
+  var obop = this.obop();
+  var stages;
+  try {
+    stages = compile(obop, pipeline);
+  } catch (e) {
+    e.status = BAD_REQUEST;
+    callback(e);
+    return this;
+  }
+
+  // the first $match
+  var condition;
+  if (pipeline.length && pipeline[0].$match) {
+    condition = pipeline[0].$match;
+    stages.shift();
+  }
+
+  this.find(condition).toArray(function(err, list) {
+    if (err) return callback(err);
+    try {
+      list = stages.reduce(function(list, stage) {
+        return stage(list);
+      }, list || []);
+    } catch (e) {
+      return callback(e);
+    }
+    callback(null, list);
+  });
+
+  return this;
+}
+
+var BAD_REQUEST = 400;
+
+var STAGES = {
+  $match: function(param, obop) {
+    var where = obop.where(param);
+    return function(list) {
+      return where ? list.filter(where) : list;
+    };
+  },
+
+  $project: function(param, obop) {
+    return project(param, obop);
+  },
+
+  $group: function(param) {
+    return group(param);
+  },
+
+  $sort: function(param, obop) {
+    var sorter = obop.order(param);
+    return function(list) {
+      return sorter ? list.slice().sort(sorter) : list;
+    };
+  },
+
+  $skip: function(param) {
+    var skip = number(param, '$skip');
+    return function(list) {
+      return list.slice(skip);
+    };
+  },
+
+  $limit: function(param) {
+    var limit = number(param, '$limit');
+    return function(list) {
+      return list.slice(0, limit);
+    };
+  },
+
+  $unwind: function(param) {
+    return unwind(param);
+  },
+
+  $count: function(param) {
+    if (!param || 'string' != typeof param || '$' == param.substr(0, 1)) {
+      throw new Error('invalid $count: ' + param);
+    }
+    return function(list) {
+      var item = {};
+      item[param] = list.length;
+      return [item];
+    };
+  }
+};
+
+var ACCUMULATORS = {
+  $sum: function(values) {
+    return values.reduce(function(sum, value) {
+      return ('number' == typeof value) ? sum + value : sum;
+    }, 0);
+  },
+
+  $avg: function(values) {
+    values = values.filter(function(value) {
+      return 'number' == typeof value;
+    });
+    if (!values.length) return null;
+    return ACCUMULATORS.$sum(values) / values.length;
+  },
+
+  $min: function(values) {
+    return values.filter(defined).reduce(function(min, value) {
+      return (min === null || value < min) ? value : min;
+    }, null);
+  },
+
+  $max: function(values) {
+    return values.filter(defined).reduce(function(max, value) {
+      return (max === null || value > max) ? value : max;
+    }, null);
+  },
+
+  $push: function(values) {
+    return values.filter(function(value) {
+      return 'undefined' !== typeof value;
+    });
+  },
+
+  $addToSet: function(values) {
+    var found = {};
+    return ACCUMULATORS.$push(values).filter(function(value) {
+      var key = JSON.stringify(value);
+      if (found[key]) return false;
+      found[key] = true;
+      return true;
+    });
+  }
+};
+
+function compile(obop, pipeline) {
+  if (!(pipeline instanceof Array)) {
+    throw new Error('pipeline must be an array');
+  }
+  return pipeline.map(function(stage) {
+    var keys = (stage && 'object' == typeof stage) ? Object.keys(stage) : [];
+    if (keys.length != 1) {
+      throw new Error('invalid pipeline stage: ' + JSON.stringify(stage));
+    }
+    var name = keys[0];
+    var gen = STAGES[name];
+    if (!gen) {
+      throw new Error('unknown pipeline stage: ' + name);
+    }
+    return gen(stage[name], obop);
+  });
+}
+
+// {"name": 1, "city": "$address.city"}
+function project(param, obop) {
+  if (!param || 'object' != typeof param) {
+    throw new Error('invalid $project: ' + param);
+  }
+  var fields = {};
+  var refs = {};
+  Object.keys(param).forEach(function(key) {
+    var val = param[key];
+    if (is_expression(val)) {
+      refs[key] = val;
+    } else {
+      fields[key] = val;
+    }
+  });
+  var view = Object.keys(fields).length ? obop.view(fields) : null;
+  var hasref = Object.keys(refs).length;
+  return function(list) {
+    return list.map(function(item) {
+      var out = view ? view(item) : hasref ? {} : item;
+      Object.keys(refs).forEach(function(key) {
+        var value = evaluate(refs[key], item);
+        if ('undefined' !== typeof value) out[key] = value;
+      });
+      return out;
+    });
+  };
+}
+
+// {"_id": "$category", "total": {"$sum": "$price"}}
+function group(param) {
+  if (!param || 'object' != typeof param || !param.hasOwnProperty('_id')) {
+    throw new Error('$group requires _id');
+  }
+  var fields = {};
+  Object.keys(param).forEach(function(key) {
+    if (key == '_id') return;
+    var acc = param[key];
+    var names = (acc && 'object' == typeof acc) ? Object.keys(acc) : [];
+    var func = (names.length == 1) && ACCUMULATORS[names[0]];
+    if (!func) {
+      throw new Error('unknown accumulator: ' + key);
+    }
+    fields[key] = [func, acc[names[0]]];
+  });
+
+  return function(list) {
+    var groups = {};
+    var order = [];
+    list.forEach(function(item) {
+      var id = evaluate(param._id, item);
+      if ('undefined' === typeof id) id = null;
+      var key = JSON.stringify(id);
+      var group = groups[key];
+      if (!group) {
+        group = groups[key] = {
+          _id: id,
+          values: {}
+        };
+        Object.keys(fields).forEach(function(field) {
+          group.values[field] = [];
+        });
+        order.push(key);
+      }
+      Object.keys(fields).forEach(function(field) {
+        group.values[field].push(evaluate(fields[field][1], item));
+      });
+    });
+
+    return order.map(function(key) {
+      var group = groups[key];
+      var out = {
+        _id: group._id
+      };
+      Object.keys(fields).forEach(function(field) {
+        out[field] = fields[field][0](group.values[field]);
+      });
+      return out;
+    });
+  };
+}
+
+// "$tags" or {"path": "$tags", "preserveNullAndEmptyArrays": true}
+function unwind(param) {
+  var path = (param && 'object' == typeof param) ? param.path : param;
+  var preserve = (param && 'object' == typeof param) && param.preserveNullAndEmptyArrays;
+  if (!is_expression(path)) {
+    throw new Error('invalid $unwind: ' + JSON.stringify(param));
+  }
+  path = path.substr(1);
+
+  return function(list) {
+    var out = [];
+    list.forEach(function(item) {
+      var array = get_value(item, path);
+      if (array instanceof Array && array.length) {
+        array.forEach(function(value) {
+          out.push(set_value(item, path, value));
+        });
+      } else if (array instanceof Array || array === null || 'undefined' === typeof array) {
+        if (preserve) out.push(item);
+      } else {
+        out.push(item); // non-array value as is
+      }
+    });
+    return out;
+  };
+}
+
+function evaluate(expr, item) {
+  if (is_expression(expr)) {
+    return get_value(item, expr.substr(1));
+  } else if (expr instanceof Array) {
+    return expr.map(function(expr) {
+      return evaluate(expr, item);
+    });
+  } else if (expr && 'object' == typeof expr) {
+    var out = {};
+    Object.keys(expr).forEach(function(key) {
+      out[key] = evaluate(expr[key], item);
+    });
+    return out;
+  }
+  return expr;
+}
+
+function is_expression(expr) {
+  return ('string' == typeof expr) && ('$' == expr.substr(0, 1)) && expr.length > 1;
+}
+
+function get_value(item, path) {
+  var list = path.split('.');
+  for (var i = 0; i < list.length; i++) {
+    if (!item || 'object' != typeof item) return;
+    item = item[list[i]];
+  }
+  return item;
+}
+
+// this returns a copy of the item which has the value at the path
+function set_value(item, path, value) {
+  var list = path.split('.');
+  var key = list.shift();
+  var copy = {};
+  Object.keys(item).forEach(function(key) {
+    copy[key] = item[key];
+  });
+  copy[key] = list.length ? set_value(item[key], list.join('.'), value) : value;
+  return copy;
+}
+
+function number(param, name) {
+  var num = param - 0;
+  if (isNaN(num) || num < 0) {
+    throw new Error('invalid ' + name + ': ' + param);
+  }
+  return num;
+}
+
+function defined(value) {
+  return value !== null && 'undefined' !== typeof value;
+}
+
+function NOP() {}
@@ -0,0 +1,98 @@
+/*! distinct.js */
+
+/**
+ * This mixin provides
+ * [distinct()]{@linkcode KagoDB#distinct} method.
+ *
+ * @class distinct
+ * @mixin
+ * @example
+ * var collection = new KagoDB();
+ *
+ * collection.distinct('category', function(err, list) {
+ *   console.log(list); // => ['fruit', 'vegetable']
+ * });
+ */
+
+module.exports = function() {
+  var mixin = {};
+  mixin.distinct = distinct;
+  return mixin;
+};
+
+/**
+ * This invokes a callback function with a list of distinct values of a field among items matched with condition.
+ * A field name could have dots to refer a nested field, such as "address.city".
+ * Each element of an array field counts as a value.
+ * Values are compared strictly, so "1" and 1 are different.
+ *
+ * @method KagoDB.prototype.distinct
+ * @param {String} field - field name
+ * @param condition - same as find() method
+ * @param {Object} [options] - reserved
+ * @param {Function} callback - function(err, list) {}
+ * @returns {KagoDB} collection instance itself for method chaining
+ * @example
+ * collection.distinct('tags', {category: 'fruit'}, function(err, list) {
+ *   console.log(list); // => ['red', 'sweet', 'yellow']
+ * });
+ */
+
+function distinct(field, condition, options, callback) {
+  if ('function' == typeof condition && !options && !callback) {
+    callback = condition;
+    condition = null;
+  } else if ('function' == typeof options && !callback) {
+    callback = options;
+    options = null;
+  }
+  callback = callback || NOP;
+
+  if (!field || 'string' != typeof field) {
+    var err = new Error('invalid field: ' + field);
+    callback(err);
+    return this;
+  }
+
+  var path = field.split('.');
+  this.find(condition).toArray(function(err, list) {
+    if (err) return callback(err);
+    var found = {};
+    var values = [];
+    (list || []).forEach(function(item) {
+      collect(item, path, function(value) {
+        var key = typeof value + ':' + JSON.stringify(value);
+        if (found[key]) return;
+        found[key] = true;
+        values.push(value);
+      });
+    });
+    callback(null, values);
+  });
+
+  return this;
+}
+
+function collect(value, path, add) {
+  if (!path.length) {
+    if (value instanceof Array) {
+      value.forEach(add);
+    } else if ('undefined' !== typeof value) {
+      add(value);
+    }
+    return;
+  }
+
+  var key = path[0];
+  var rest = path.slice(1);
+  if (value instanceof Array && !/^\d+$/.test(key)) {
+    // {"tags": [{"name": "foo"}]} for "tags.name"
+    value.forEach(function(value) {
+      collect(value, path, add);
+    });
+  } else if (value && 'object' == typeof value) {
+    collect(value[key], rest, add);
+  }
+}
+
+function NOP() {}
@@ -22,6 +22,7 @@ module.exports = function() {
  * This works similar to
  * [update()]{@linkcode KagoDB#update}
  * but update only the first item in the specified order.
+ * This takes the collection-wide [lock()]{@linkcode KagoDB#lock} when "lock" option is true.
  *
  * @method KagoDB.prototype.findAndModify
  * @param {Object|Function} condition - query selector or function
@@ -50,7 +51,6 @@ module.exports = function() {
  */
 
 function findAndModify(condition, sort, update, options, callback) {
-  var collection = this;
   var pkey = this.pkey();
 
   if ('function' == typeof options && !callback) {
@@ -68,15 +68,27 @@ function findAndModify(condition, sort, update, options, callback) {
     throw new Error('primary key not defined');
   }
 
-  this.findOne(condition, options, updater);
+  if (this.get('lock')) {
+    this.lock(null, function(done) {
+      run(this, done);
+    }, callback);
+  } else {
+    run(this, callback);
+  }
   return this;
 
-  function updater(err, item) {
-    if (err) return callback(err);
-    if (!item) return callback();
-    var id = item[pkey];
-    if (update) item = update(item);
-    collection.write(id, item, callback);
+  function run(collection, done) {
+    collection.findOne(condition, options, function(err, item) {
+      if (err) return done(err);
+      if (!item) return done();
+      var id = item[pkey];
+      try {
+        if (update) item = update(item);
+      } catch (e) {
+        return done(e);
+      }
+      collection.write(id, item, done);
+    });
   }
 }
 
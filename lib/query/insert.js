@@ -38,6 +38,7 @@ module.exports = function() {
 /**
  * This inserts an item to the collection.
  * This requires a primary key defined.
+ * It fails with no items written when an item violates a unique index.
  *
  * @method KagoDB.prototype.insert
  * @param {Object|Array} item - an item or an array of items
@@ -93,6 +94,13 @@ function insert(item, callback) {
   }
 
   function write_all(err) {
+    // unique indexes
+    if (!err && self.unique_check) {
+      var ids = items.map(function(item) {
+        return item[pkey];
+      });
+      err = self.unique_check(ids, items);
+    }
     if (err) {
       callback(err);
     } else {
@@ -23,6 +23,7 @@ module.exports = function() {
 
 /**
  * This removes item(s) which matches the specified query.
+ * This takes the collection-wide [lock()]{@linkcode KagoDB#lock} when "lock" option is true.
  *
  * @method KagoDB.prototype.remove
  * @param {Object|Function} condition - query selector
@@ -37,34 +38,51 @@ module.exports = function() {
  */
 
 function remove(condition, options, callback) {
-  var remover;
+  var pkey = this.pkey();
   options = options || {};
+  callback = callback || NOP;
+
+  if (!pkey) {
+    throw new Error('primary key not defined');
+  }
 
-  if (!options.single) {
-    remover = getRemover(this, null, callback);
-    if (remover) this.find(condition).each(remover);
+  if (this.get('lock')) {
+    this.lock(null, function(done) {
+      run(this, done, true);
+    }, callback);
   } else {
-    remover = getRemover(this, callback, callback);
-    if (remover) this.findOne(condition, remover);
+    run(this, callback, false);
   }
 
   return this;
-}
 
-function getRemover(self, onerase, callback) {
-  var pkey = self.pkey();
-  if (!pkey) {
-    throw new Error('primary key not defined');
-  }
+  function run(self, done, locked) {
+    var pending = 1;
+    var error;
 
-  callback = callback || NOP;
+    if (!options.single) {
+      self.find(condition).each(remover);
+    } else {
+      self.findOne(condition, remover);
+    }
+
+    function remover(err, item) {
+      if (err || !item) return finish(err);
+      var id = item[pkey];
+      // the callback waits for erases while the lock is held
+      if (!options.single && !locked) return self.erase(id);
+      pending++;
+      self.erase(id, finish);
+      if (options.single) finish();
+    }
 
-  return function(err, item) {
-    if (err) return callback(err);
-    if (!item) return callback();
-    var id = item[pkey];
-    self.erase(id, onerase);
-  };
+    // callback after the search completed, and erases as well when locked
+    function finish(err) {
+      error = error || err;
+      if (--pending) return;
+      done(error);
+    }
+  }
 }
 
 function NOP() {}
\ No newline at end of file
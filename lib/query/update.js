@@ -34,6 +34,7 @@ module.exports = function() {
 /**
  * This updates item(s) which matches the specified query.
  * $set, $unset, $inc, $push, $pull, $rename operators are available as update parameters.
+ * This takes the collection-wide [lock()]{@linkcode KagoDB#lock} when "lock" option is true.
  *
  * @method KagoDB.prototype.update
  * @param {Object|Function} condition - query selector or function
@@ -64,9 +65,7 @@ module.exports = function() {
  */
 
 function _update(condition, update, options, callback) {
-  var collection = this;
   var pkey = this.pkey();
-  var onwrite;
 
   if ('function' == typeof options && !callback) {
     callback = options;
@@ -81,21 +80,47 @@ function _update(condition, update, options, callback) {
     throw new Error('primary key not defined');
   }
 
-  if (options.multi) {
-    this.find(condition).each(updater);
+  if (this.get('lock')) {
+    this.lock(null, function(done) {
+      run(this, done, true);
+    }, callback);
   } else {
-    onwrite = callback;
-    this.findOne(condition, updater);
+    run(this, callback, false);
   }
 
   return this;
 
-  function updater(err, item) {
-    if (err) return callback(err);
-    if (!item) return callback();
-    var id = item[pkey];
-    if (update) item = update(item);
-    collection.write(id, item, onwrite);
+  function run(collection, done, locked) {
+    var pending = 1;
+    var error;
+
+    if (options.multi) {
+      collection.find(condition).each(updater);
+    } else {
+      collection.findOne(condition, updater);
+    }
+
+    function updater(err, item) {
+      if (err || !item) return finish(err);
+      var id = item[pkey];
+      try {
+        if (update) item = update(item);
+      } catch (e) {
+        return finish(e);
+      }
+      // the callback waits for writes while the lock is held
+      if (options.multi && !locked) return collection.write(id, item);
+      pending++;
+      collection.write(id, item, finish);
+      if (!options.multi) finish();
+    }
+
+    // callback after the search completed, and writes as well when locked
+    function finish(err) {
+      error = error || err;
+      if (--pending) return;
+      done(error);
+    }
   }
 }
 
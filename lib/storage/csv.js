@@ -0,0 +1,260 @@
+/*! csv.js */
+
+/**
+ * This mixin implements a file-based
+ * [storage]{@linkcode storage}
+ * feature which stores a whole collection in a single CSV or TSV file.
+ * The header row holds field names and the primary key column gives the item ID
+ * ("id" column is used when "primary_key" option is not set).
+ *
+ * Values are read as strings per default.
+ * "columns" option declares types of columns: "string", "number", "boolean", "date" and "json".
+ * An empty cell means the field is not defined.
+ * "delimiter" option specifies a field separator (default: "," or TAB for ".tsv" file).
+ *
+ * @class csv
+ * @mixin
+ * @see whole_file
+ * @see http://tools.ietf.org/html/rfc4180
+ * @example
+ * var opts = {
+ *   storage: 'csv',
+ *   path: __dirname + '/data/items.csv',
+ *   primary_key: 'code',
+ *   columns: {
+ *     price: 'number',
+ *     stock: 'boolean',
+ *     released: 'date',
+ *     tags: 'json'
+ *   }
+ * };
+ *
+ * var collection = new KagoDB(opts);
+ *
+ * collection.find({price: {$gt: 100}}).toArray(function(err, list){
+ *   // ./data/items.csv
+ * });
+ */
+
+var whole_file = require('../mixin/whole_file');
+
+var types = {
+  string: {
+    parse: function(str) {
+      return str;
+    },
+    format: String
+  },
+  number: {
+    parse: function(str) {
+      var num = Number(str);
+      if (isNaN(num)) throw new Error('invalid number: ' + str);
+      return num;
+    },
+    format: String
+  },
+  boolean: {
+    parse: function(str) {
+      var lower = str.toLowerCase();
+      if (lower == 'true' || lower == '1' || lower == 'yes') return true;
+      if (lower == 'false' || lower == '0' || lower == 'no') return false;
+      throw new Error('invalid boolean: ' + str);
+    },
+    format: function(val) {
+      return val ? 'true' : 'false';
+    }
+  },
+  date: {
+    parse: function(str) {
+      var date = new Date(str);
+      if (isNaN(date.getTime())) throw new Error('invalid date: ' + str);
+      return date;
+    },
+    format: function(val) {
+      if (!(val instanceof Date)) val = new Date(val);
+      return val.toJSON();
+    }
+  },
+  json: {
+    parse: JSON.parse,
+    format: function(val) {
+      return JSON.stringify(val);
+    }
+  }
+};
+
+module.exports = function() {
+  var mixin = whole_file.call(this);
+  mixin.decode = decode;
+  mixin.encode = encode;
+  return mixin;
+};
+
+function decode(source, callback) {
+  var items = {};
+  var key = key_column(this);
+  var rows;
+  var header;
+  try {
+    var columns = column_types(this);
+    rows = parse(source, delimiter(this));
+    header = rows.shift() || [];
+    if (header.length && header.indexOf(key) < 0) {
+      throw new Error('primary key column not found: ' + key);
+    }
+    rows.forEach(function(row, idx) {
+      if (row.length == 1 && row[0] === '') return; // empty line
+      var item = {};
+      header.forEach(function(field, col) {
+        var str = row[col];
+        if ('undefined' == typeof str || str === '') return;
+        var type = columns[field];
+        try {
+          item[field] = type ? type.parse(str) : str;
+        } catch (err) {
+          err.message = 'line ' + (idx + 2) + ' "' + field + '": ' + err.message;
+          throw err;
+        }
+      });
+      var id = item[key];
+      if ('undefined' == typeof id) {
+        throw new Error('line ' + (idx + 2) + ': primary key is empty');
+      }
+      items[id] = item;
+    });
+  } catch (err) {
+    callback(err);
+    return;
+  }
+  if (this.unwrap) {
+    items = this.unwrap(items);
+  }
+  callback(null, items);
+}
+
+function encode(items, callback) {
+  var encoded;
+  if (this.wrap) {
+    items = this.wrap(items);
+  }
+  try {
+    var key = key_column(this);
+    var columns = column_types(this);
+    var sep = delimiter(this);
+    var ids = Object.keys(items);
+
+    // primary key first, declared columns next, others then
+    var header = [key];
+    var seen = {};
+    seen[key] = true;
+    Object.keys(columns).forEach(add_field);
+    ids.forEach(function(id) {
+      Object.keys(items[id] || {}).forEach(add_field);
+    });
+
+    var lines = [header];
+    ids.forEach(function(id) {
+      var item = items[id] || {};
+      var row = header.map(function(field) {
+        var val = (field == key) ? id : item[field];
+        return format(val, columns[field]);
+      });
+      lines.push(row);
+    });
+
+    encoded = lines.map(function(row) {
+      return row.map(function(str) {
+        return quote(str, sep);
+      }).join(sep) + '\n';
+    }).join('');
+  } catch (err) {
+    callback(err);
+    return;
+  }
+  callback(null, encoded);
+
+  function add_field(field) {
+    if (seen[field]) return;
+    seen[field] = true;
+    header.push(field);
+  }
+}
+
+function key_column(self) {
+  return self.get('primary_key') || 'id';
+}
+
+function delimiter(self) {
+  var sep = self.get('delimiter');
+  if (sep) return sep;
+  var path = self.get('path') || '';
+  return /\.tsv$/i.test(path) ? '\t' : ',';
+}
+
+function column_types(self) {
+  var columns = self.get('columns') || {};
+  var map = {};
+  Object.keys(columns).forEach(function(field) {
+    var type = types[columns[field]];
+    if (!type) throw new Error('invalid column type: ' + columns[field]);
+    map[field] = type;
+  });
+  return map;
+}
+
+function format(val, type) {
+  if (val === null || 'undefined' == typeof val) return '';
+  if (type) return type.format(val);
+  if (val instanceof Date) return val.toJSON();
+  if ('object' == typeof val) return JSON.stringify(val);
+  return String(val);
+}
+
+function quote(str, sep) {
+  if (str.indexOf(sep) < 0 && !/["\r\n]/.test(str)) return str;
+  return '"' + str.replace(/"/g, '""') + '"';
+}
+
+// parses CSV text as an array of rows
+function parse(source, sep) {
+  var rows = [];
+  var row = [];
+  var field = '';
+  var quoted = false;
+  var len = source.length;
+  var i = 0;
+  if (source.charCodeAt(0) == 0xFEFF) i++; // BOM
+
+  for (; i < len; i++) {
+    var c = source[i];
+    if (quoted) {
+      if (c != '"') {
+        field += c;
+      } else if (source[i + 1] == '"') {
+        field += c;
+        i++;
+      } else {
+        quoted = false;
+      }
+    } else if (c == '"' && field === '') {
+      quoted = true;
+    } else if (c == sep) {
+      row.push(field);
+      field = '';
+    } else if (c == '\n' || c == '\r') {
+      if (c == '\r' && source[i + 1] == '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (quoted) throw new Error('unterminated quoted field');
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
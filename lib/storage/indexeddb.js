@@ -0,0 +1,237 @@
+/*! indexeddb.js */
+
+/**
+ * This mixin implements a persistence
+ * [storage]{@linkcode storage}
+ * feature which stores items on web browser's IndexedDB.
+ * Items are stored as structured objects in an object store named after "namespace" option.
+ * "database" option specifies a database name (default: "KagoDB").
+ * "indexeddb" option accepts an IndexedDB factory object to use instead of window.indexedDB,
+ * such as an in-memory shim on node.js.
+ *
+ * @class indexeddb
+ * @mixin
+ * @see http://www.w3.org/TR/IndexedDB/
+ * @example
+ * var opts = {
+ *   storage: 'indexeddb',
+ *   namespace: 'myspace'
+ * };
+ *
+ * var collection = new KagoDB(opts);
+ *
+ * collection.read('foo', function(err, item){
+ *   console.log(item);
+ * });
+ */
+
+var wrequire = require('wrequire');
+
+var DEFAULT_DATABASE = 'KagoDB';
+var DEFAULT_STORE = 'default';
+
+module.exports = function() {
+  var mixin = {};
+  mixin.read = read;
+  mixin.write = write;
+  mixin.erase = erase;
+  mixin.exist = exist;
+  mixin.index = index;
+  return mixin;
+};
+
+function read(id, callback) {
+  var self = this;
+  callback = callback || NOP;
+  transaction(this, 'readonly', function(err, store, tx) {
+    if (err) return callback(err);
+    var item;
+    var req = store.get(id + '');
+    req.onsuccess = function() {
+      item = req.result;
+    };
+    complete(tx, function(err) {
+      if (err) return callback(err);
+      if ('undefined' == typeof item) {
+        err = new Error('Item not found');
+        return callback(err, null);
+      }
+      if (self.unwrap) {
+        item = self.unwrap(item);
+      }
+      callback(null, item);
+    });
+  });
+}
+
+function write(id, item, callback) {
+  callback = callback || NOP;
+  if (this.wrap) {
+    item = this.wrap(item);
+  }
+  transaction(this, 'readwrite', function(err, store, tx) {
+    if (err) return callback(err);
+    try {
+      store.put(item, id + '');
+    } catch (e) {
+      return callback(e); // DataCloneError
+    }
+    complete(tx, callback);
+  });
+}
+
+function erase(id, callback) {
+  callback = callback || NOP;
+  var key = id + '';
+  transaction(this, 'readwrite', function(err, store, tx) {
+    if (err) return callback(err);
+    var found;
+    var req = store.count(key);
+    req.onsuccess = function() {
+      found = req.result > 0;
+      if (found) store['delete'](key);
+    };
+    complete(tx, function(err) {
+      if (!err && !found) {
+        err = new Error('Item not found');
+      }
+      callback(err);
+    });
+  });
+}
+
+function exist(id, callback) {
+  callback = callback || NOP;
+  transaction(this, 'readonly', function(err, store, tx) {
+    if (err) return callback(err);
+    var exists;
+    var req = store.count(id + '');
+    req.onsuccess = function() {
+      exists = req.result > 0;
+    };
+    complete(tx, function(err) {
+      callback(err, exists);
+    });
+  });
+}
+
+function index(callback) {
+  callback = callback || NOP;
+  transaction(this, 'readonly', function(err, store, tx) {
+    if (err) return callback(err);
+    var list = [];
+    var req;
+    if (store.getAllKeys) {
+      req = store.getAllKeys();
+      req.onsuccess = function() {
+        list = req.result;
+      };
+    } else {
+      // IndexedDB 1.0 does not have getAllKeys()
+      req = store.openCursor();
+      req.onsuccess = function() {
+        var cursor = req.result;
+        if (!cursor) return;
+        list.push(cursor.key);
+        cursor['continue']();
+      };
+    }
+    complete(tx, function(err) {
+      callback(err, err ? null : [].slice.call(list));
+    });
+  });
+}
+
+function factory(self) {
+  return self.get('indexeddb') || wrequire('indexedDB');
+}
+
+function store_name(self) {
+  return self.get('namespace') || DEFAULT_STORE;
+}
+
+// opens the database and creates the object store when it does not exist yet
+// callbacks wait for the connection being opened so that it opens and upgrades once
+function connect(self, callback) {
+  if (self._indexeddb) return callback(null, self._indexeddb);
+  if (self._indexeddb_waiting) return self._indexeddb_waiting.push(callback);
+  var idb = factory(self);
+  if (!idb) {
+    return callback(new Error('IndexedDB is not available'));
+  }
+  var name = self.get('database') || DEFAULT_DATABASE;
+  var storeName = store_name(self);
+  self._indexeddb_waiting = [callback];
+  open();
+
+  function done(err, db) {
+    var waiting = self._indexeddb_waiting;
+    delete self._indexeddb_waiting;
+    waiting.forEach(function(callback) {
+      callback(err, db);
+    });
+  }
+
+  function open(version) {
+    var req;
+    try {
+      req = version ? idb.open(name, version) : idb.open(name);
+    } catch (err) {
+      return done(err);
+    }
+    req.onupgradeneeded = function() {
+      var db = req.result;
+      if (!db.objectStoreNames.contains(storeName)) {
+        db.createObjectStore(storeName);
+      }
+    };
+    req.onsuccess = function() {
+      var db = req.result;
+      if (!db.objectStoreNames.contains(storeName)) {
+        // upgrade the database to add the object store
+        var next = db.version + 1;
+        db.close();
+        return open(next);
+      }
+      db.onversionchange = function() {
+        // let another connection upgrade the database
+        db.close();
+        if (self._indexeddb === db) delete self._indexeddb;
+      };
+      self._indexeddb = db;
+      done(null, db);
+    };
+    req.onerror = function() {
+      done(req.error || new Error('IndexedDB open failed: ' + name));
+    };
+    req.onblocked = function() {
+      self.emit('warn', 'IndexedDB upgrade blocked: ' + name);
+    };
+  }
+}
+
+function transaction(self, mode, callback) {
+  connect(self, function(err, db) {
+    if (err) return callback(err);
+    var storeName = store_name(self);
+    var tx;
+    try {
+      tx = db.transaction([storeName], mode);
+    } catch (e) {
+      return callback(e);
+    }
+    callback(null, tx.objectStore(storeName), tx);
+  });
+}
+
+function complete(tx, callback) {
+  tx.oncomplete = function() {
+    callback();
+  };
+  tx.onerror = tx.onabort = function() {
+    callback(tx.error || new Error('IndexedDB transaction failed'));
+    tx.onerror = tx.onabort = null;
+  };
+}
+
+function NOP() {}
@@ -4,6 +4,9 @@
  * This mixin implements a file-based
  * [storage]{@linkcode storage}
  * feature which stores items as JSON files.
+ * Set "format" option to store items in another format registered by
+ * [KagoDB.registerFormat()]{@linkcode KagoDB.registerFormat}, such as "json5" and "toml".
+ * The file suffix follows the format.
  *
  * @class json
  * @mixin
@@ -19,9 +22,23 @@
  * collection.read('foo', function(err, item){
  *   // ./data/foo.json
  * });
+ *
+ * @example
+ * var opts = {
+ *   storage: 'json',
+ *   path: __dirname + '/data',
+ *   format: 'toml'
+ * };
+ *
+ * var collection = new KagoDB(opts);
+ *
+ * collection.read('foo', function(err, item){
+ *   // ./data/foo.toml
+ * });
  */
 
 var file_base = require('../mixin/file_base');
+var encode = require('../mixin/encode');
 
 module.exports = function() {
   var mixin = file_base.call(this);
@@ -30,5 +47,6 @@ module.exports = function() {
 };
 
 function file_suffix() {
-  return this.get('suffix') || '.json';
+  var suffix = this.get('suffix') || encode.get_format.call(this, 'json').suffix;
+  return suffix + file_base.compress_suffix.call(this);
 }
\ No newline at end of file
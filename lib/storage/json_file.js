@@ -0,0 +1,32 @@
+/*! json_file.js */
+
+/**
+ * This mixin implements a file-based
+ * [storage]{@linkcode storage}
+ * feature which stores a whole collection in a single JSON file
+ * as an object keyed by item ID.
+ * Use "json_spaces" option to make the file readable.
+ *
+ * @class json_file
+ * @mixin
+ * @see whole_file
+ * @example
+ * var opts = {
+ *   storage: 'json_file',
+ *   path: __dirname + '/data/items.json',
+ *   json_spaces: 2
+ * };
+ *
+ * var collection = new KagoDB(opts);
+ *
+ * collection.read('foo', function(err, item){
+ *   // ./data/items.json
+ * });
+ */
+
+var whole_file = require('../mixin/whole_file');
+
+module.exports = function() {
+  var mixin = whole_file.call(this);
+  return mixin;
+};
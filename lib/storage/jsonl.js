@@ -0,0 +1,382 @@
+/*! jsonl.js */
+
+/**
+ * This mixin implements a file-based
+ * [storage]{@linkcode storage}
+ * feature which stores a whole collection in a single append-only JSON Lines file.
+ * Each write() and erase() appends a record to the log file,
+ * and read() and index() use an in-memory offset map built at load time.
+ * The map is rebuilt when the file size or inode changes,
+ * so that records appended or compacted by another process are not missed.
+ * Writes from multiple processes at the same time are not supported, however.
+ *
+ * The log is rewritten with live items only by
+ * [compact()]{@linkcode KagoDB#compact}.
+ * This also runs automatically when the number of stale records reaches
+ * the "compact_threshold" option (default: 1000, 0 to disable).
+ *
+ * @class jsonl
+ * @mixin
+ * @see http://jsonlines.org
+ * @example
+ * var opts = {
+ *   storage: 'jsonl',
+ *   path: __dirname + '/data/items.jsonl'
+ * };
+ *
+ * var collection = new KagoDB(opts);
+ *
+ * collection.read('foo', function(err, item){
+ *   // ./data/items.jsonl
+ * });
+ */
+
+var fs = require('fs');
+var pathlib = require('path');
+var file_base = require('../mixin/file_base');
+
+var DEFAULT_COMPACT_THRESHOLD = 1000;
+var LF = 0x0A;
+
+module.exports = function() {
+  var mixin = {};
+  mixin.read = read;
+  mixin.write = write;
+  mixin.erase = erase;
+  mixin.exist = exist;
+  mixin.index = index;
+  mixin.compact = compact;
+  return mixin;
+};
+
+function read(id, callback) {
+  var self = this;
+  var log = get_log(this);
+  var key = id + '';
+  callback = callback || NOP;
+  serial(log, job, callback);
+
+  function job(next) {
+    load(log, function(err) {
+      if (err) return next(err);
+      var pos = log.offsets[key];
+      if (!pos) {
+        err = new Error('Item not found');
+        return next(err, null);
+      }
+      read_line(log.file, pos, function(err, line) {
+        if (err) return next(err);
+        var item;
+        try {
+          item = JSON.parse(line).item;
+        } catch (e) {
+          return next(e);
+        }
+        if (self.unwrap) {
+          item = self.unwrap(item);
+        }
+        next(null, item);
+      });
+    });
+  }
+}
+
+function write(id, item, callback) {
+  var self = this;
+  var log = get_log(this);
+  var key = id + '';
+  var replacer = this.get('json_replacer');
+  var line;
+  callback = callback || NOP;
+  if (this.wrap) {
+    item = this.wrap(item);
+  }
+  try {
+    line = JSON.stringify({
+      id: key,
+      item: item
+    }, replacer);
+  } catch (err) {
+    callback(err);
+    return;
+  }
+  serial(log, job, after_job);
+
+  function job(next) {
+    load(log, function(err) {
+      if (err) return next(err);
+      append(log, key, line, false, next);
+    });
+  }
+
+  function after_job(err) {
+    if (!err) auto_compact(self, log);
+    callback(err);
+  }
+}
+
+function erase(id, callback) {
+  var self = this;
+  var log = get_log(this);
+  var key = id + '';
+  var line = JSON.stringify({
+    id: key,
+    erase: true
+  });
+  callback = callback || NOP;
+  serial(log, job, after_job);
+
+  function job(next) {
+    load(log, function(err) {
+      if (err) return next(err);
+      if (!has(log.offsets, key)) {
+        err = new Error('Item not found');
+        return next(err);
+      }
+      append(log, key, line, true, next);
+    });
+  }
+
+  function after_job(err) {
+    if (!err) auto_compact(self, log);
+    callback(err);
+  }
+}
+
+function exist(id, callback) {
+  var log = get_log(this);
+  var key = id + '';
+  callback = callback || NOP;
+  serial(log, job, callback);
+
+  function job(next) {
+    load(log, function(err) {
+      if (err) return next(err);
+      next(null, has(log.offsets, key));
+    });
+  }
+}
+
+function index(callback) {
+  var log = get_log(this);
+  callback = callback || NOP;
+  serial(log, job, callback);
+
+  function job(next) {
+    load(log, function(err) {
+      if (err) return next(err);
+      next(null, Object.keys(log.offsets));
+    });
+  }
+}
+
+/**
+ * This rewrites the log file of
+ * [jsonl]{@linkcode jsonl}
+ * storage to contain live items only.
+ * The new log is written to a temporary file and then renamed into place.
+ *
+ * @method KagoDB.prototype.compact
+ * @param {Function} [callback] - function(err) {}
+ * @returns {KagoDB} collection instance itself for method chaining
+ * @example
+ * var collection = new KagoDB({storage: 'jsonl', path: './data/items.jsonl'});
+ *
+ * collection.compact(function(err) {
+ *   console.log(err || 'compacted');
+ * });
+ */
+
+function compact(callback) {
+  var self = this;
+  var log = get_log(this);
+  callback = callback || NOP;
+  serial(log, job, callback);
+  return this;
+
+  function job(next) {
+    load(log, function(err) {
+      if (err) return next(err);
+      rewrite(log, self.get('fsync'), function(err) {
+        if (!err) self.emit('compact', log.file);
+        next(err);
+      });
+    });
+  }
+}
+
+// logs are shared per file in a process
+var SharedLog = {};
+
+function get_log(self) {
+  var file = self.get('path');
+  if (!file) {
+    throw new Error('"path" parameter for storage is not defined');
+  }
+  file = pathlib.resolve(file);
+  return SharedLog[file] || (SharedLog[file] = new Log(file));
+}
+
+function Log(file) {
+  this.file = file;
+  this.offsets = null; // id => [offset, length]
+  this.ino = null; // inode of the file loaded
+  this.size = 0; // bytes
+  this.records = 0; // lines including stale records
+  this.live = 0; // items alive
+  this.partial = false; // true when the last line is not terminated
+  this.queue = [];
+}
+
+// run jobs on a log one by one as offsets depend on the order of appends
+function serial(log, job, callback) {
+  var queue = log.queue;
+  queue.push(function() {
+    job(function() {
+      var args = arguments;
+      queue.shift();
+      if (queue.length) queue[0]();
+      callback.apply(null, args);
+    });
+  });
+  if (queue.length == 1) queue[0]();
+}
+
+function load(log, callback) {
+  fs.stat(log.file, function(err, stat) {
+    if (err && err.code != 'ENOENT') return callback(err);
+    var ino = stat ? stat.ino : null;
+    // the map is valid unless another process appended to or rewrote the file
+    if (log.offsets && log.ino === ino && log.size == (stat ? stat.size : 0)) return callback();
+    reload(log, ino, callback);
+  });
+}
+
+function reload(log, ino, callback) {
+  fs.readFile(log.file, function(err, buf) {
+    if (err && err.code != 'ENOENT') return callback(err);
+    var offsets = Object.create(null); // safe for IDs such as "__proto__"
+    var records = 0;
+    var start = 0;
+    var size = buf ? buf.length : 0;
+
+    while (start < size) {
+      var end = buf.indexOf(LF, start);
+      if (end < 0) end = size;
+      if (end > start) {
+        records++;
+        parse_record(buf.slice(start, end), start, offsets);
+      }
+      start = end + 1;
+    }
+
+    log.offsets = offsets;
+    log.ino = ino;
+    log.size = size;
+    log.records = records;
+    log.live = Object.keys(offsets).length;
+    log.partial = size > 0 && buf[size - 1] != LF;
+    callback();
+  });
+}
+
+function parse_record(line, offset, offsets) {
+  var record;
+  try {
+    record = JSON.parse(line.toString('utf8'));
+  } catch (e) {
+    return; // ignore a broken line such as a truncated last line
+  }
+  if (!record || 'object' != typeof record || !('id' in record)) return;
+  var key = record.id + '';
+  if (record.erase) {
+    delete offsets[key];
+  } else {
+    offsets[key] = [offset, line.length];
+  }
+}
+
+function append(log, key, line, erased, callback) {
+  var data = (log.partial ? '\n' : '') + line + '\n';
+  var offset = log.size + (log.partial ? 1 : 0);
+  fs.appendFile(log.file, data, 'utf8', function(err) {
+    if (err) return callback(err);
+    var exists = has(log.offsets, key);
+    if (erased) {
+      delete log.offsets[key];
+      log.live--;
+    } else {
+      log.offsets[key] = [offset, Buffer.byteLength(line)];
+      if (!exists) log.live++;
+    }
+    log.size += Buffer.byteLength(data);
+    log.records++;
+    log.partial = false;
+    callback();
+  });
+}
+
+function read_line(file, pos, callback) {
+  var chunks = [];
+  var opts = {
+    start: pos[0],
+    end: pos[0] + pos[1] - 1
+  };
+  var stream = fs.createReadStream(file, opts);
+  stream.on('error', callback);
+  stream.on('data', function(chunk) {
+    chunks.push(chunk);
+  });
+  stream.on('end', function() {
+    callback(null, Buffer.concat(chunks).toString('utf8'));
+  });
+}
+
+function rewrite(log, sync, callback) {
+  var keys = Object.keys(log.offsets);
+  if (!log.records) return callback();
+
+  fs.readFile(log.file, function(err, buf) {
+    if (err) return callback(err);
+    var offsets = Object.create(null); // safe for IDs such as "__proto__"
+    var lines = [];
+    var size = 0;
+    keys.forEach(function(key) {
+      var pos = log.offsets[key];
+      var line = buf.slice(pos[0], pos[0] + pos[1]);
+      offsets[key] = [size, line.length];
+      lines.push(line.toString('utf8') + '\n');
+      size += line.length + 1;
+    });
+
+    file_base.write_file(log.file, lines.join(''), sync, function(err) {
+      if (err) return callback(err);
+      fs.stat(log.file, function(err, stat) {
+        if (err) return callback(err);
+        log.offsets = offsets;
+        log.ino = stat.ino;
+        log.size = size;
+        log.records = keys.length;
+        log.live = keys.length;
+        log.partial = false;
+        callback();
+      });
+    });
+  });
+}
+
+function auto_compact(self, log) {
+  var threshold = self.get('compact_threshold');
+  if ('undefined' == typeof threshold) threshold = DEFAULT_COMPACT_THRESHOLD;
+  if (threshold <= 0) return;
+  if (log.records - log.live < threshold) return;
+  compact.call(self, function(err) {
+    if (err) self.emit('warn', 'compact failed:', err);
+  });
+}
+
+function has(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+function NOP() {}
@@ -4,11 +4,17 @@
  * This mixin implements a persistence
  * [storage]{@linkcode storage}
  * feature which stores items on web browser's localStorage.
- * On environments which do not support localStorage, such as node.js, this simulates a localStorage but it's volatile.
+ * It accesses the storage via Web Storage interface:
+ * getItem(), setItem(), removeItem(), key() and length.
+ *
+ * "web_storage" option specifies a name of the storage object: "localStorage" (default) or "sessionStorage".
+ * "local_storage" option accepts any object which implements the Storage interface.
+ * On environments which do not support Web Storage, such as node.js, this simulates a storage but it's volatile.
  *
  * @class local_storage
  * @mixin
  * @see http://dev.w3.org/html5/webstorage/#the-localstorage-attribute
+ * @see session_storage
  * @example
  * var opts = {
  *   storage: 'local_storage',
@@ -23,20 +29,97 @@
  */
 
 var wrequire = require('wrequire');
-var memory = require('./memory');
-var localStorage = {};
+var SharedStorage = {}; // storages simulated per name
 
-module.exports = function() {
-  var mixin = memory.call(this);
-  mixin.memory_store = memory_store;
+module.exports = function(web_storage) {
+  var mixin = {};
+  mixin.read = read;
+  mixin.write = write;
+  mixin.erase = erase;
+  mixin.exist = exist;
+  mixin.index = index;
+  mixin.memory_store = function() {
+    return memory_store(this, web_storage);
+  };
   mixin.escape = escape;
   mixin.unescape = unescape;
+  mixin.encodes_items = encodes_items;
   return mixin;
 };
 
-function memory_store() {
-  var object = this.get('local_storage');
-  object = object || wrequire('localStorage') || localStorage;
+function read(id, callback) {
+  callback = callback || NOP;
+  var store = this._memory_store || (this._memory_store = this.memory_store());
+  var item = store.getItem(this.escape(id));
+  if (item !== null && 'undefined' != typeof item) {
+    this.decode(item, callback);
+  } else {
+    var err = new Error('Item not found');
+    callback(err, null);
+  }
+}
+
+function write(id, item, callback) {
+  callback = callback || NOP;
+  var store = this._memory_store || (this._memory_store = this.memory_store());
+  id = this.escape(id);
+  this.encode(item, function(err, item) {
+    if (!err) {
+      try {
+        store.setItem(id, item);
+      } catch (e) {
+        err = e; // QuotaExceededError
+      }
+    }
+    callback(err);
+  });
+}
+
+function erase(id, callback) {
+  callback = callback || NOP;
+  var store = this._memory_store || (this._memory_store = this.memory_store());
+  id = this.escape(id);
+  if (store.getItem(id) !== null) {
+    store.removeItem(id);
+    callback();
+  } else {
+    var err = new Error('Item not found');
+    callback(err);
+  }
+}
+
+function exist(id, callback) {
+  callback = callback || NOP;
+  var store = this._memory_store || (this._memory_store = this.memory_store());
+  var exists = (store.getItem(this.escape(id)) !== null);
+  callback(null, exists);
+}
+
+function index(callback) {
+  callback = callback || NOP;
+  var store = this._memory_store || (this._memory_store = this.memory_store());
+  var list = [];
+  for (var i = 0; i < store.length; i++) {
+    list.push(store.key(i));
+  }
+  var unescape = this.unescape.bind(this);
+  list = list.map(unescape);
+  list = list.filter(function(id) {
+    return !(id instanceof Error);
+  });
+  callback(null, list);
+}
+
+function encodes_items() {
+  return true;
+}
+
+function memory_store(self, web_storage) {
+  var object = self.get('local_storage');
+  if (object) return object;
+  var name = self.get('web_storage') || web_storage || 'localStorage';
+  object = wrequire(name);
+  object = object || SharedStorage[name] || (SharedStorage[name] = new MemoryStorage());
   return object;
 }
 
@@ -62,3 +145,44 @@ function unescape(id) {
   id = decodeURIComponent(id);
   return id;
 }
+
+// a volatile storage which implements the Storage interface
+function MemoryStorage() {
+  var data = Object.create(null); // safe for keys such as "__proto__"
+  var keys = [];
+
+  Object.defineProperty(this, 'length', {
+    get: function() {
+      return keys.length;
+    }
+  });
+
+  this.key = function(index) {
+    return (index in keys) ? keys[index] : null;
+  };
+
+  this.getItem = function(key) {
+    key = key + '';
+    return (key in data) ? data[key] : null;
+  };
+
+  this.setItem = function(key, value) {
+    key = key + '';
+    if (!(key in data)) keys.push(key);
+    data[key] = value + '';
+  };
+
+  this.removeItem = function(key) {
+    key = key + '';
+    if (!(key in data)) return;
+    delete data[key];
+    keys.splice(keys.indexOf(key), 1);
+  };
+
+  this.clear = function() {
+    data = Object.create(null);
+    keys = [];
+  };
+}
+
+function NOP() {}
@@ -0,0 +1,102 @@
+/*! markdown.js */
+
+/**
+ * This mixin implements a file-based
+ * [storage]{@linkcode storage}
+ * feature which stores items as Markdown files with YAML front matter.
+ * Fields in the front matter become the item's properties
+ * and the rest of the file goes into "body" property.
+ * "body_field" option changes the name of the property.
+ *
+ * @class markdown
+ * @mixin
+ * @see https://npmjs.org/package/js-yaml
+ * @example
+ * var opts = {
+ *   storage: 'markdown',
+ *   path: __dirname + '/docs',
+ *   body_field: 'content'
+ * };
+ *
+ * var collection = new KagoDB(opts);
+ *
+ * collection.find().sort({date: -1}).toArray(function(err, list){
+ *   // ./docs/*.md
+ * });
+ */
+
+var jsyaml; // = require('js-yaml'); // lazy load
+var file_base = require('../mixin/file_base');
+
+// "---\n---\n" is an empty front matter even when the body starts with "---"
+var FRONT_MATTER = /^\uFEFF?---[ \t]*\r?\n([\s\S]*?\r?\n)??---[ \t]*(\r?\n|$)/;
+var FRONT_MARKER = /^\uFEFF?---/;
+
+module.exports = function() {
+  var mixin = file_base.call(this);
+  mixin.file_suffix = file_suffix;
+  mixin.decode = decode;
+  mixin.encode = encode;
+  return mixin;
+};
+
+function file_suffix() {
+  var suffix = this.get('suffix') || '.md';
+  return suffix + file_base.compress_suffix.call(this);
+}
+
+function body_field(self) {
+  return self.get('body_field') || 'body';
+}
+
+function decode(source, callback) {
+  var item;
+  var body = source;
+  try {
+    var match = FRONT_MATTER.exec(source);
+    if (match) {
+      jsyaml = jsyaml || require('js-yaml'); // lazy load
+      item = jsyaml.load(match[1] || '');
+      body = source.substr(match[0].length);
+    }
+    item = item || {};
+    if ('object' != typeof item || item instanceof Array) {
+      throw new Error('Invalid front matter');
+    }
+    item[body_field(this)] = body;
+  } catch (err) {
+    callback(err);
+    return;
+  }
+  if (this.unwrap) {
+    item = this.unwrap(item);
+  }
+  callback(null, item);
+}
+
+function encode(item, callback) {
+  var encoded;
+  if (this.wrap) {
+    item = this.wrap(item);
+  }
+  try {
+    var field = body_field(this);
+    var body = item[field];
+    var front = {};
+    for (var key in item) {
+      if (key != field && item.hasOwnProperty(key)) front[key] = item[key];
+    }
+    body = (body === null || 'undefined' == typeof body) ? '' : String(body);
+    encoded = body;
+    if (Object.keys(front).length) {
+      jsyaml = jsyaml || require('js-yaml'); // lazy load
+      encoded = '---\n' + jsyaml.dump(front) + '---\n' + body;
+    } else if (FRONT_MARKER.test(body)) {
+      encoded = '---\n---\n' + body; // empty front matter keeps the body as is
+    }
+  } catch (err) {
+    callback(err);
+    return;
+  }
+  callback(null, encoded);
+}
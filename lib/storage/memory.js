@@ -6,6 +6,18 @@
  * feature which stores items on memory.
  * Use namespace to share the storage across KagoDB instances in the same process.
  *
+ * "memory_serialize" option selects how items are stored:
+ * true to store strings serialized by [encode()]{@linkcode KagoDB#encode},
+ * or false (default) to store structured clones of items without JSON round trip.
+ * In both modes, read() returns a new copy so that callers mutating it never corrupt the store.
+ *
+ * [dump()]{@linkcode KagoDB#dump} and [restore()]{@linkcode KagoDB#restore} save and load a snapshot file.
+ * "persist" option specifies a snapshot file of the namespace on node.js.
+ * The snapshot is loaded at the first access and saved on process exit
+ * as well as every "persist_interval" milliseconds (default: 60000, 0 to disable) when changed.
+ *
+ * Attachments are kept as Buffers beside items, but they are not saved in snapshots.
+ *
  * @class memory
  * @mixin
  * @example
@@ -19,8 +31,23 @@
  * collection.read('foo', function(err, item){
  *   console.log(item);
  * });
+ *
+ * @example
+ * var opts = {
+ *   storage: 'memory',
+ *   namespace: 'myspace',
+ *   persist: __dirname + '/data/myspace.json'
+ * };
+ *
+ * var collection = new KagoDB(opts); // items are kept across restarts
  */
 
+var fs; // = require('fs'); // lazy load
+var stream; // = require('stream'); // lazy load
+var file_base; // = require('../mixin/file_base'); // lazy load
+var encode = require('../mixin/encode');
+var utils = require('../core/utils');
+
 module.exports = function() {
   var mixin = {};
   mixin.read = read;
@@ -29,6 +56,13 @@ module.exports = function() {
   mixin.exist = exist;
   mixin.index = index;
   mixin.memory_store = memory_store;
+  mixin.encodes_items = serialize_mode;
+  mixin.dump = dump;
+  mixin.restore = restore;
+  mixin.putAttachment = putAttachment;
+  mixin.getAttachment = getAttachment;
+  mixin.listAttachments = listAttachments;
+  mixin.removeAttachment = removeAttachment;
   return mixin;
 };
 
@@ -36,12 +70,17 @@ function read(id, callback) {
   callback = callback || NOP;
   var store = this._memory_store || (this._memory_store = this.memory_store());
   id = this.escape(id);
-  if (store.hasOwnProperty(id) && this.decode) {
-    var item = store[id];
-    this.decode(item, callback);
-  } else {
+  if (!store.hasOwnProperty(id)) {
     var err = new Error('Item not found');
     callback(err, null);
+  } else if (serialize(this)) {
+    this.decode(store[id], callback);
+  } else {
+    var item = utils.copy(store[id]);
+    if (this.unwrap) {
+      item = this.unwrap(item);
+    }
+    callback(null, item);
   }
 }
 
@@ -49,12 +88,22 @@ function write(id, item, callback) {
   callback = callback || NOP;
   var store = this._memory_store || (this._memory_store = this.memory_store());
   id = this.escape(id);
-  this.encode(item, function(err, item) {
-    if (!err) {
-      store[id] = item;
+  if (serialize(this)) {
+    this.encode(item, function(err, item) {
+      if (!err) {
+        store[id] = item;
+        changed(store);
+      }
+      callback(err);
+    });
+  } else {
+    if (this.wrap) {
+      item = this.wrap(item);
     }
-    callback(err);
-  });
+    store[id] = utils.copy(item);
+    changed(store);
+    callback();
+  }
 }
 
 function erase(id, callback) {
@@ -63,6 +112,8 @@ function erase(id, callback) {
   id = this.escape(id);
   if (store.hasOwnProperty(id)) {
     delete store[id];
+    delete attachment_store(this)[id];
+    changed(store);
     callback();
   } else {
     var err = new Error('Item not found');
@@ -90,14 +141,208 @@ function index(callback) {
   callback(null, list);
 }
 
+function putAttachment(id, name, data, callback) {
+  var self = this;
+  callback = callback || NOP;
+  var store = this._memory_store || (this._memory_store = this.memory_store());
+  var err = check_name(name);
+  if (err) return callback(err);
+  id = this.escape(id);
+  if (!store.hasOwnProperty(id)) {
+    err = new Error('Item not found');
+    return callback(err);
+  }
+  utils.concat(data, function(err, buffer) {
+    if (err) return callback(err);
+    var files = attachment_store(self);
+    files = files[id] || (files[id] = Object.create(null));
+    files[name] = buffer;
+    callback();
+  });
+}
+
+function getAttachment(id, name, options, callback) {
+  if ('function' == typeof options) {
+    callback = options;
+    options = null;
+  }
+  callback = callback || NOP;
+  var files = attachment_store(this)[this.escape(id)];
+  if (!files || !(name in files)) {
+    var err = new Error('Attachment not found');
+    return callback(err, null);
+  }
+  var buffer = Buffer.from(files[name]); // never share the buffer
+  if (!options || !options.stream) return callback(null, buffer);
+  stream = stream || require('stream'); // lazy load
+  var readable = new stream.PassThrough();
+  readable.end(buffer);
+  callback(null, readable);
+}
+
+function listAttachments(id, callback) {
+  callback = callback || NOP;
+  var files = attachment_store(this)[this.escape(id)];
+  var list = files ? Object.keys(files).sort() : [];
+  callback(null, list);
+}
+
+function removeAttachment(id, name, callback) {
+  callback = callback || NOP;
+  var store = attachment_store(this);
+  id = this.escape(id);
+  var files = store[id];
+  if (!files || !(name in files)) {
+    var err = new Error('Attachment not found');
+    return callback(err);
+  }
+  delete files[name];
+  if (!Object.keys(files).length) delete store[id];
+  callback();
+}
+
+function check_name(name) {
+  if ('string' != typeof name || !name) {
+    return new Error('Invalid attachment name: ' + name);
+  }
+}
+
+function serialize(self) {
+  return !! self.get('memory_serialize');
+}
+
+function serialize_mode() {
+  return serialize(this);
+}
+
+/**
+ * This saves all items of
+ * [memory]{@linkcode memory}
+ * storage to a snapshot file.
+ *
+ * @method KagoDB.prototype.dump
+ * @param {String} path - snapshot file
+ * @param {Function} [callback] - function(err) {}
+ * @returns {KagoDB} collection instance itself for method chaining
+ * @example
+ * var collection = new KagoDB({storage: 'memory', namespace: 'myspace'});
+ *
+ * collection.dump('./data/myspace.json', function(err) {
+ *   console.log(err || 'saved');
+ * });
+ */
+
+function dump(path, callback) {
+  callback = callback || NOP;
+  var store = this._memory_store || (this._memory_store = this.memory_store());
+  var data;
+  try {
+    data = snapshot(this, store);
+  } catch (err) {
+    callback(err);
+    return this;
+  }
+  file_base = file_base || require('../mixin/file_base'); // lazy load
+  file_base.write_file(path, data, this.get('fsync'), callback);
+  return this;
+}
+
+/**
+ * This replaces all items of
+ * [memory]{@linkcode memory}
+ * storage with a snapshot file saved by [dump()]{@linkcode KagoDB#dump}.
+ *
+ * @method KagoDB.prototype.restore
+ * @param {String} path - snapshot file
+ * @param {Function} [callback] - function(err) {}
+ * @returns {KagoDB} collection instance itself for method chaining
+ * @example
+ * var collection = new KagoDB({storage: 'memory', namespace: 'myspace'});
+ *
+ * collection.restore('./data/myspace.json', function(err) {
+ *   console.log(err || 'loaded');
+ * });
+ */
+
+function restore(path, callback) {
+  var self = this;
+  callback = callback || NOP;
+  var store = this._memory_store || (this._memory_store = this.memory_store());
+  fs = fs || require('fs'); // lazy load
+  fs.readFile(path, 'utf8', function(err, content) {
+    if (err) return callback(err);
+    try {
+      load_snapshot(self, store, content);
+    } catch (e) {
+      return callback(e);
+    }
+    changed(store);
+    callback();
+  });
+  return this;
+}
+
+// Date objects are tagged as JSON does not have the type
+function snapshot(self, store) {
+  var data = {
+    serialize: serialize(self),
+    items: store
+  };
+  if (data.serialize) {
+    data.format = format_name(self);
+  }
+  return JSON.stringify(data, function(key, value) {
+    if (this[key] instanceof Date) return {
+      $date: value
+    };
+    return value;
+  });
+}
+
+function load_snapshot(self, store, content) {
+  var data = JSON.parse(content, function(key, value) {
+    if (value && 'string' == typeof value.$date) return new Date(value.$date);
+    return value;
+  });
+  if (!data || 'object' != typeof data.items) {
+    throw new Error('Invalid snapshot');
+  }
+  var items = data.items;
+  // formats of strings stored in serialize mode
+  var from = data.serialize && encode.find_format.call(self, data.format || 'json');
+  var to = serialize(self) && encode.get_format.call(self, 'json');
+  Object.keys(store).forEach(function(key) {
+    delete store[key];
+  });
+  Object.keys(items).forEach(function(key) {
+    var value = items[key];
+    // convert items saved in the other mode or format
+    if (from !== to) {
+      if (from) value = from.decode.call(self, value);
+      if (to) value = to.encode.call(self, value);
+    }
+    store[key] = value;
+  });
+}
+
+function format_name(self) {
+  return self.get('format') || 'json';
+}
+
 var SharedStore = {};
+var SharedPersist = {};
+var SharedAttachment = {};
 
 function memory_store() {
   var ns = this.get('namespace');
   var object;
   if (ns) {
     // memory shared in a process
-    object = SharedStore[ns] || (SharedStore[ns] = {});
+    object = SharedStore[ns];
+    if (!object) {
+      object = SharedStore[ns] = {};
+      persist(this, ns, object);
+    }
   } else {
     // volatile memory available only in a instance
     object = {};
@@ -105,4 +350,66 @@ function memory_store() {
   return object;
 }
 
+// attachments per item ID shared in a process as well as items
+function attachment_store(self) {
+  if (self._memory_attachment) return self._memory_attachment;
+  var ns = self.get('namespace');
+  var object = ns && SharedAttachment[ns];
+  if (!object) {
+    object = Object.create(null); // safe for IDs such as "__proto__"
+    if (ns) SharedAttachment[ns] = object;
+  }
+  return (self._memory_attachment = object);
+}
+
+function persist(self, ns, store) {
+  var path = self.get('persist');
+  if (!path) return;
+  fs = fs || require('fs'); // lazy load
+
+  var state = SharedPersist[ns] = {
+    store: store,
+    dirty: false
+  };
+
+  // load synchronously at the first access
+  try {
+    load_snapshot(self, store, fs.readFileSync(path, 'utf8'));
+  } catch (err) {
+    if (err.code != 'ENOENT') self.emit('warn', 'persist load failed:', path, err);
+  }
+
+  var interval = self.get('persist_interval');
+  if ('undefined' == typeof interval) interval = 60000;
+  if (interval > 0) {
+    var timer = setInterval(function() {
+      if (!state.dirty) return;
+      state.dirty = false;
+      dump.call(self, path, function(err) {
+        if (!err) return;
+        state.dirty = true; // retry at the next interval or on exit
+        self.emit('warn', 'persist save failed:', path, err);
+      });
+    }, interval);
+    if (timer.unref) timer.unref(); // do not keep the process running
+  }
+
+  process.on('exit', function() {
+    if (!state.dirty) return;
+    var tmp = path + '.' + process.pid + '.tmp';
+    try {
+      fs.writeFileSync(tmp, snapshot(self, store));
+      fs.renameSync(tmp, path);
+    } catch (err) {
+      self.emit('warn', 'persist save failed:', path, err);
+    }
+  });
+}
+
+function changed(store) {
+  for (var ns in SharedPersist) {
+    if (SharedPersist[ns].store === store) SharedPersist[ns].dirty = true;
+  }
+}
+
 function NOP() {}
@@ -0,0 +1,296 @@
+/*! mirror.js */
+
+/**
+ * This mixin implements a replicated
+ * [storage]{@linkcode storage}
+ * feature which fans out write() and erase() to child collections.
+ * "replicas" option specifies an array of KagoDB collections.
+ * "write_quorum" option specifies the number of replicas which must succeed (default: all replicas).
+ *
+ * The callback is called as soon as the quorum is satisfied.
+ * Replicas which failed are recorded per item ID and skipped by read(), exist() and index()
+ * until [repair()]{@linkcode KagoDB#repair} re-syncs them.
+ * read() uses the first healthy replica and tries the next one on error.
+ *
+ * @class mirror
+ * @mixin
+ * @example
+ * var local = new KagoDB({
+ *   storage: 'yaml',
+ *   path: __dirname + '/data'
+ * });
+ *
+ * var remote = new KagoDB({
+ *   storage: 'ajax',
+ *   endpoint: 'http://backup.example.com/data/'
+ * });
+ *
+ * var opts = {
+ *   storage: 'mirror',
+ *   replicas: [local, remote],
+ *   write_quorum: 1
+ * };
+ *
+ * var collection = new KagoDB(opts);
+ *
+ * collection.write('foo', {name: 'FOO'}, function(err) {
+ *   // written to local at least
+ * });
+ */
+
+var utils = require('../core/utils');
+
+module.exports = function() {
+  var mixin = {};
+  mixin.read = read;
+  mixin.write = write;
+  mixin.erase = erase;
+  mixin.exist = exist;
+  mixin.index = index;
+  mixin.repair = repair;
+  return mixin;
+};
+
+function read(id, callback) {
+  var self = this;
+  callback = callback || NOP;
+  first_healthy(this, id, function(replica, next) {
+    replica.read(id, next);
+  }, function(err, item) {
+    if (err) return callback(err, null);
+    if (self.unwrap) {
+      item = self.unwrap(item);
+    }
+    callback(null, item);
+  });
+}
+
+function write(id, item, callback) {
+  if (this.wrap) {
+    item = this.wrap(item);
+  }
+  fan_out(this, id, function(replica, next) {
+    replica.write(id, item, next);
+  }, callback);
+}
+
+function erase(id, callback) {
+  var missing;
+  var erased = 0;
+  callback = callback || NOP;
+  fan_out(this, id, function(replica, next) {
+    replica.erase(id, function(err) {
+      // a replica which does not have the item is still in sync
+      if (is_not_found(err)) {
+        missing = err;
+        return next();
+      }
+      if (!err) erased++;
+      next(err);
+    });
+  }, function(err) {
+    if (!err && !erased && missing) err = missing;
+    callback(err);
+  });
+}
+
+function exist(id, callback) {
+  callback = callback || NOP;
+  first_healthy(this, id, function(replica, next) {
+    replica.exist(id, next);
+  }, callback);
+}
+
+function index(callback) {
+  callback = callback || NOP;
+  first_healthy(this, null, function(replica, next) {
+    replica.index(next);
+  }, callback);
+}
+
+/**
+ * This re-syncs items on replicas which failed write() or erase() of
+ * [mirror]{@linkcode mirror}
+ * storage, copying from a healthy replica.
+ *
+ * @method KagoDB.prototype.repair
+ * @param {Function} [callback] - function(err, count) {}
+ * @returns {KagoDB} collection instance itself for method chaining
+ * @example
+ * var collection = new KagoDB({storage: 'mirror', replicas: [local, remote]});
+ *
+ * collection.repair(function(err, count) {
+ *   console.log(count + ' items repaired');
+ * });
+ */
+
+function repair(callback) {
+  var self = this;
+  var list = get_replicas(this);
+  var failed = get_failed(this);
+  var jobs = [];
+  var count = 0;
+  var error;
+  callback = callback || NOP;
+
+  list.forEach(function(replica, idx) {
+    Object.keys(failed[idx]).forEach(function(id) {
+      jobs.push([idx, id]);
+    });
+  });
+
+  utils.eachSeries(jobs, function(job, next) {
+    var idx = job[0];
+    var id = job[1];
+    resync(self, idx, id, function(err) {
+      if (err) {
+        error = error || err;
+      } else {
+        delete failed[idx][id];
+        count++;
+      }
+      next();
+    });
+  }, function() {
+    callback(error, count);
+  });
+  return this;
+}
+
+function get_replicas(self) {
+  var list = self.get('replicas');
+  if (!list || !list.length) {
+    throw new Error('"replicas" parameter for storage is not defined');
+  }
+  return list;
+}
+
+// item IDs failed per replica
+function get_failed(self) {
+  var failed = self._mirror_failed || (self._mirror_failed = []);
+  var list = get_replicas(self);
+  while (failed.length < list.length) failed.push({});
+  return failed;
+}
+
+function quorum(self) {
+  var size = get_replicas(self).length;
+  var num = self.get('write_quorum');
+  if (!num || num > size) num = size;
+  return num;
+}
+
+function fan_out(self, id, job, callback) {
+  var list = get_replicas(self);
+  var failed = get_failed(self);
+  var need = quorum(self);
+  var success = 0;
+  var rest = list.length;
+  var error;
+  var started;
+  var called;
+  callback = callback || NOP;
+
+  list.forEach(function(replica, idx) {
+    job(replica, function(err) {
+      if (err) {
+        failed[idx][id] = true;
+        error = error || err;
+        self.emit('warn', 'mirror replica ' + idx + ' failed:', id, err);
+      } else {
+        delete failed[idx][id];
+        success++;
+      }
+      rest--;
+      check();
+    });
+  });
+
+  // dispatch to all replicas before the callback even when replicas respond synchronously
+  started = true;
+  check();
+
+  function check() {
+    if (called || !started) return;
+    if (success >= need) {
+      called = true;
+      callback();
+    } else if (success + rest < need) {
+      called = true;
+      callback(error);
+    }
+  }
+}
+
+// runs a job with healthy replicas in order until it succeeds
+function first_healthy(self, id, job, callback) {
+  var list = get_replicas(self);
+  var failed = get_failed(self);
+  var healthy = [];
+  var result;
+  var error;
+
+  list.forEach(function(replica, idx) {
+    var dirty = (id === null) ? Object.keys(failed[idx]).length : failed[idx][id];
+    if (!dirty) healthy.push(replica);
+  });
+
+  // index() uses any replicas when every replica has failed something
+  if (!healthy.length && id === null) healthy = list;
+
+  if (!healthy.length) {
+    return callback(new Error('No healthy replica: ' + id));
+  }
+
+  utils.eachSeries(healthy, function(replica, next) {
+    job(replica, function(err, res) {
+      if (err) {
+        error = error || err;
+        return next();
+      }
+      result = res;
+      error = null;
+      next(true); // stop
+    });
+  }, function() {
+    if (error) return callback(error);
+    callback(null, result);
+  });
+}
+
+function resync(self, idx, id, callback) {
+  var list = get_replicas(self);
+  var failed = get_failed(self);
+  var target = list[idx];
+  var source;
+  for (var i = 0; i < list.length; i++) {
+    if (i != idx && !failed[i][id]) {
+      source = list[i];
+      break;
+    }
+  }
+  if (!source) {
+    return callback(new Error('No healthy replica to repair: ' + id));
+  }
+
+  source.exist(id, function(err, exists) {
+    if (err) return callback(err);
+    if (exists) {
+      source.read(id, function(err, item) {
+        if (err) return callback(err);
+        target.write(id, item, callback);
+      });
+    } else {
+      target.exist(id, function(err, exists) {
+        if (err || !exists) return callback(err);
+        target.erase(id, callback);
+      });
+    }
+  });
+}
+
+function is_not_found(err) {
+  return err && (err.code == 'ENOENT' || err.message == 'Item not found');
+}
+
+function NOP() {}
@@ -0,0 +1,211 @@
+/*! overlay.js */
+
+/**
+ * This mixin implements a copy-on-write
+ * [storage]{@linkcode storage}
+ * feature which layers a writable collection over read-only collections.
+ * "layers" option specifies an array of KagoDB collections: the first one is the top layer.
+ *
+ * read() and exist() fall through the layers in order, and index() returns the union of them.
+ * write() goes to the top layer only.
+ * erase() leaves a tombstone item on the top layer when lower layers have the item,
+ * so that underlying collections are never modified.
+ * As index() reads items on the top layer to find tombstones,
+ * a fast storage such as [memory]{@linkcode memory} is recommended for the top layer.
+ *
+ * @class overlay
+ * @mixin
+ * @example
+ * var fixture = new KagoDB({
+ *   storage: 'json',
+ *   path: __dirname + '/data'
+ * });
+ *
+ * var scratch = new KagoDB({
+ *   storage: 'memory'
+ * });
+ *
+ * var opts = {
+ *   storage: 'overlay',
+ *   layers: [scratch, fixture]
+ * };
+ *
+ * var collection = new KagoDB(opts);
+ *
+ * collection.erase('foo', function(err){
+ *   // ./data/foo.json is still there
+ * });
+ */
+
+var utils = require('../core/utils');
+
+var TOMBSTONE = '__overlay_erased';
+
+module.exports = function() {
+  var mixin = {};
+  mixin.read = read;
+  mixin.write = write;
+  mixin.erase = erase;
+  mixin.exist = exist;
+  mixin.index = index;
+  return mixin;
+};
+
+function read(id, callback) {
+  var self = this;
+  callback = callback || NOP;
+  find_layer(this, id, function(err, layer, item) {
+    if (err) return callback(err);
+    if (!layer) {
+      err = new Error('Item not found');
+      return callback(err, null);
+    }
+    if (item) return done(null, item);
+    layer.read(id, done);
+  });
+
+  function done(err, item) {
+    if (err) return callback(err);
+    item = utils.copy(item); // never share objects with underlying layers
+    if (self.unwrap) {
+      item = self.unwrap(item);
+    }
+    callback(null, item);
+  }
+}
+
+function write(id, item, callback) {
+  callback = callback || NOP;
+  var top = get_layers(this)[0];
+  if (this.wrap) {
+    item = this.wrap(item);
+  }
+  top.write(id, item, callback);
+}
+
+function erase(id, callback) {
+  var list = get_layers(this);
+  var top = list[0];
+  callback = callback || NOP;
+  find_layer(this, id, function(err, layer) {
+    if (err) return callback(err);
+    if (!layer) {
+      err = new Error('Item not found');
+      return callback(err);
+    }
+    lower_exist(list, id, function(err, exists) {
+      if (err) return callback(err);
+      if (!exists) return top.erase(id, callback);
+      var tombstone = {};
+      tombstone[TOMBSTONE] = true;
+      top.write(id, tombstone, callback);
+    });
+  });
+}
+
+function exist(id, callback) {
+  callback = callback || NOP;
+  find_layer(this, id, function(err, layer) {
+    callback(err, !! layer);
+  });
+}
+
+function index(callback) {
+  var list = get_layers(this);
+  var top = list[0];
+  var found = {};
+  var erased = {};
+  var ids = [];
+  callback = callback || NOP;
+
+  top.index(function(err, topList) {
+    if (err) return callback(err);
+    // top layer may have tombstones
+    utils.eachSeries(topList, function(id, next) {
+      top.read(id, function(err, item) {
+        if (err) return next(err);
+        if (is_tombstone(item)) {
+          erased[id] = true;
+        } else {
+          add(id);
+        }
+        next();
+      });
+    }, function(err) {
+      if (err) return callback(err);
+      utils.eachSeries(list.slice(1), function(layer, next) {
+        layer.index(function(err, list) {
+          if (err) return next(err);
+          list.forEach(add);
+          next();
+        });
+      }, function(err) {
+        callback(err, err ? null : ids);
+      });
+    });
+  });
+
+  function add(id) {
+    if (found[id] || erased[id]) return;
+    found[id] = true;
+    ids.push(id);
+  }
+}
+
+function get_layers(self) {
+  var list = self.get('layers');
+  if (!list || !list.length) {
+    throw new Error('"layers" parameter for storage is not defined');
+  }
+  return list;
+}
+
+// finds the layer which has the item, and the item itself when it's on the top layer
+function find_layer(self, id, callback) {
+  var list = get_layers(self);
+  var top = list[0];
+  var found;
+  top.exist(id, function(err, exists) {
+    if (err) return callback(err);
+    if (!exists) return lower();
+    top.read(id, function(err, item) {
+      if (err) return callback(err);
+      if (is_tombstone(item)) return callback(); // erased
+      callback(null, top, item);
+    });
+  });
+
+  function lower() {
+    utils.eachSeries(list.slice(1), function(layer, next) {
+      layer.exist(id, function(err, exists) {
+        if (err) return next(err);
+        if (!exists) return next();
+        found = layer;
+        next(true); // stop
+      });
+    }, function(err) {
+      if (err && !found) return callback(err);
+      callback(null, found);
+    });
+  }
+}
+
+function lower_exist(list, id, callback) {
+  var exists = false;
+  utils.eachSeries(list.slice(1), function(layer, next) {
+    layer.exist(id, function(err, res) {
+      if (err) return next(err);
+      exists = res;
+      next(res);
+    });
+  }, function(err) {
+    if (err && !exists) return callback(err);
+    callback(null, exists);
+  });
+}
+
+function is_tombstone(item) {
+  return item && 'object' == typeof item && item[TOMBSTONE] === true;
+}
+
+function NOP() {}
@@ -0,0 +1,208 @@
+/*! partition.js */
+
+/**
+ * This mixin implements a
+ * [storage]{@linkcode storage}
+ * feature which routes items to child collections by rules.
+ * "partitions" option specifies an array of rules which have a child collection
+ * and one of conditions below:
+ *
+ * - prefix: string which the item ID starts with
+ * - match: regular expression which the item ID matches
+ * - test: function(item, id) which returns true for the item
+ * - (none): default partition which accepts any items
+ *
+ * write() sends the item to the first partition which accepts it
+ * and erases the item from other partitions, so that an item moves when it's changed.
+ * read(), erase() and exist() look up the partitions whose ID condition does not exclude the item.
+ * index() merges IDs across partitions.
+ *
+ * @class partition
+ * @mixin
+ * @example
+ * var hot = new KagoDB({
+ *   storage: 'memory',
+ *   namespace: 'hot'
+ * });
+ *
+ * var archive = new KagoDB({
+ *   storage: 'json',
+ *   path: __dirname + '/archive',
+ *   compress: 'gzip'
+ * });
+ *
+ * var opts = {
+ *   storage: 'partition',
+ *   partitions: [{
+ *     collection: archive,
+ *     test: function(item, id) {
+ *       return item.archived;
+ *     }
+ *   }, {
+ *     collection: hot
+ *   }]
+ * };
+ *
+ * var collection = new KagoDB(opts);
+ *
+ * collection.find().toArray(function(err, list) {
+ *   // items in both partitions
+ * });
+ */
+
+var utils = require('../core/utils');
+
+module.exports = function() {
+  var mixin = {};
+  mixin.read = read;
+  mixin.write = write;
+  mixin.erase = erase;
+  mixin.exist = exist;
+  mixin.index = index;
+  return mixin;
+};
+
+function read(id, callback) {
+  var self = this;
+  callback = callback || NOP;
+  find_partition(this, id, function(err, collection) {
+    if (err) return callback(err);
+    if (!collection) {
+      err = new Error('Item not found');
+      return callback(err, null);
+    }
+    collection.read(id, function(err, item) {
+      if (err) return callback(err);
+      if (self.unwrap) {
+        item = self.unwrap(item);
+      }
+      callback(null, item);
+    });
+  });
+}
+
+function write(id, item, callback) {
+  var list = get_partitions(this);
+  callback = callback || NOP;
+  if (this.wrap) {
+    item = this.wrap(item);
+  }
+  var target;
+  for (var i = 0; i < list.length; i++) {
+    if (accept(list[i], id, item)) {
+      target = list[i].collection;
+      break;
+    }
+  }
+  if (!target) {
+    var err = new Error('No partition for item: ' + id);
+    return callback(err);
+  }
+  target.write(id, item, function(err) {
+    if (err) return callback(err);
+    // remove an old item moved from another partition
+    var others = candidates(list, id).filter(function(collection) {
+      return collection !== target;
+    });
+    utils.eachSeries(others, function(collection, next) {
+      collection.exist(id, function(err, exists) {
+        if (err || !exists) return next(err);
+        collection.erase(id, next);
+      });
+    }, callback);
+  });
+}
+
+function erase(id, callback) {
+  callback = callback || NOP;
+  find_partition(this, id, function(err, collection) {
+    if (err) return callback(err);
+    if (!collection) {
+      err = new Error('Item not found');
+      return callback(err);
+    }
+    collection.erase(id, callback);
+  });
+}
+
+function exist(id, callback) {
+  callback = callback || NOP;
+  find_partition(this, id, function(err, collection) {
+    callback(err, !! collection);
+  });
+}
+
+function index(callback) {
+  var list = get_partitions(this);
+  var found = {};
+  var ids = [];
+  callback = callback || NOP;
+  utils.eachSeries(list, function(rule, next) {
+    rule.collection.index(function(err, list) {
+      if (err) return next(err);
+      list.forEach(function(id) {
+        if (found[id]) return;
+        found[id] = true;
+        ids.push(id);
+      });
+      next();
+    });
+  }, function(err) {
+    callback(err, err ? null : ids);
+  });
+}
+
+function get_partitions(self) {
+  var list = self.get('partitions');
+  if (!list || !list.length) {
+    throw new Error('"partitions" parameter for storage is not defined');
+  }
+  list.forEach(function(rule) {
+    if (!rule || !rule.collection) {
+      throw new Error('invalid partition: collection is not defined');
+    }
+  });
+  return list;
+}
+
+// tests whether the partition accepts the item
+function accept(rule, id, item) {
+  if (!match_id(rule, id)) return false;
+  if (rule.test && !rule.test(item, id)) return false;
+  return true;
+}
+
+function match_id(rule, id) {
+  id += '';
+  if ('undefined' != typeof rule.prefix && id.indexOf(rule.prefix) !== 0) return false;
+  if (rule.match && !rule.match.test(id)) return false;
+  return true;
+}
+
+// collections which may have the item, judged by ID conditions only
+function candidates(list, id) {
+  list = list.filter(function(rule) {
+    return match_id(rule, id);
+  });
+  return list.map(function(rule) {
+    return rule.collection;
+  });
+}
+
+function find_partition(self, id, callback) {
+  var list = candidates(get_partitions(self), id);
+  var found;
+  utils.eachSeries(list, function(collection, next) {
+    collection.exist(id, function(err, exists) {
+      if (err) return next(err);
+      if (!exists) return next();
+      found = collection;
+      next(true); // stop
+    });
+  }, function(err) {
+    if (err && !found) return callback(err);
+    callback(null, found);
+  });
+}
+
+function NOP() {}
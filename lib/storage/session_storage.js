@@ -0,0 +1,31 @@
+/*! session_storage.js */
+
+/**
+ * This mixin implements a
+ * [storage]{@linkcode storage}
+ * feature which stores items on web browser's sessionStorage.
+ * This works as well as [local_storage]{@linkcode local_storage} does
+ * with "web_storage" option: "sessionStorage".
+ *
+ * @class session_storage
+ * @mixin
+ * @see local_storage
+ * @example
+ * var opts = {
+ *   storage: 'session_storage',
+ *   namespace: 'myspace'
+ * };
+ *
+ * var collection = new KagoDB(opts);
+ *
+ * collection.read('foo', function(err, item){
+ *   console.log(item);
+ * });
+ */
+
+var local_storage = require('./local_storage');
+
+module.exports = function() {
+  var mixin = local_storage.call(this, 'sessionStorage');
+  return mixin;
+};
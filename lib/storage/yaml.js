@@ -21,46 +21,19 @@
  * });
  */
 
-var jsyaml; // = require('js-yaml'); // lazy load
 var file_base = require('../mixin/file_base');
+var encode = require('../mixin/encode');
 
 module.exports = function() {
   var mixin = file_base.call(this);
+  var codec = encode('yaml');
   mixin.file_suffix = file_suffix;
-  mixin.decode = decode;
-  mixin.encode = encode;
+  mixin.decode = codec.decode;
+  mixin.encode = codec.encode;
   return mixin;
 };
 
 function file_suffix() {
-  return this.get('suffix') || '.yaml';
-}
-
-function decode(source, callback) {
-  var item;
-  try {
-    jsyaml = jsyaml || require('js-yaml'); // lazy load
-    item = jsyaml.load(source);
-  } catch (err) {
-    callback(err);
-    return;
-  }
-  if (this.unwrap) {
-    item = this.unwrap(item);
-  }
-  callback(null, item);
-}
-
-function encode(item, callback) {
-  var encoded;
-  if (this.wrap) {
-    item = this.wrap(item);
-  }
-  try {
-    jsyaml = jsyaml || require('js-yaml'); // lazy load
-    encoded = jsyaml.dump(item);
-  } catch (err) {
-    callback(err);
-  }
-  callback(null, encoded);
+  var suffix = this.get('suffix') || encode.get_format.call(this, 'yaml').suffix;
+  return suffix + file_base.compress_suffix.call(this);
 }
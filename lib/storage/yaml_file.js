@@ -0,0 +1,35 @@
+/*! yaml_file.js */
+
+/**
+ * This mixin implements a file-based
+ * [storage]{@linkcode storage}
+ * feature which stores a whole collection in a single YAML file
+ * as a mapping keyed by item ID.
+ *
+ * @class yaml_file
+ * @mixin
+ * @see whole_file
+ * @see https://npmjs.org/package/js-yaml
+ * @example
+ * var opts = {
+ *   storage: 'yaml_file',
+ *   path: __dirname + '/data/items.yaml'
+ * };
+ *
+ * var collection = new KagoDB(opts);
+ *
+ * collection.read('foo', function(err, item){
+ *   // ./data/items.yaml
+ * });
+ */
+
+var whole_file = require('../mixin/whole_file');
+var yaml = require('./yaml');
+
+module.exports = function() {
+  var mixin = whole_file.call(this);
+  var codec = yaml.call(this);
+  mixin.decode = codec.decode;
+  mixin.encode = codec.encode;
+  return mixin;
+};
@@ -0,0 +1,140 @@
+/*! multipart.js */
+
+/**
+ * This parses a multipart/form-data request body.
+ * Parts are returned in order with their field names, file names, content types and contents as Buffers.
+ * A body longer than the limit fails with an error which has status 413.
+ * A body already read by a body parser is used when it is a Buffer.
+ *
+ * @private
+ * @param {Object} req - request object
+ * @param {Number} limit - maximum body size in bytes
+ * @param {Function} callback - function(err, parts) {}
+ */
+
+module.exports = function(req, limit, callback) {
+  var boundary = get_boundary(req.headers['content-type']);
+  if (!boundary) {
+    var err = new Error('multipart boundary not found');
+    return callback(err);
+  }
+  read_body(req, limit, function(err, body) {
+    if (err) return callback(err);
+    var parts;
+    try {
+      parts = parse(body, boundary);
+    } catch (e) {
+      return callback(e);
+    }
+    callback(null, parts);
+  });
+};
+
+/**
+ * This tests whether a request is multipart/form-data.
+ *
+ * @private
+ * @param {Object} req - request object
+ * @returns {Boolean}
+ */
+
+module.exports.is_multipart = function(req) {
+  var type = req.headers && req.headers['content-type'];
+  return !!type && /^multipart\/form-data/i.test(type);
+};
+
+/**
+ * This returns an error which has status 413 when the request body is declared longer than the limit.
+ *
+ * @private
+ * @param {Object} req - request object
+ * @param {Number} limit - maximum body size in bytes
+ * @returns {Error} error, or undefined when acceptable
+ */
+
+module.exports.check_length = function(req, limit) {
+  var length = Buffer.isBuffer(req.body) ? req.body.length : req.headers && req.headers['content-length'];
+  if (length > limit) return too_large(limit);
+};
+
+function read_body(req, limit, callback) {
+  var err = module.exports.check_length(req, limit);
+  if (err) return callback(err);
+  if (Buffer.isBuffer(req.body)) return callback(null, req.body);
+
+  var chunks = [];
+  var size = 0;
+  var done;
+  req.on('data', function(chunk) {
+    if (done) return;
+    size += chunk.length;
+    if (size > limit) {
+      chunks = null;
+      return finish(too_large(limit));
+    }
+    chunks.push(chunk);
+  });
+  req.on('error', finish);
+  req.on('end', function() {
+    if (chunks) finish(null, Buffer.concat(chunks));
+  });
+
+  function finish(err, body) {
+    if (done) return;
+    done = true;
+    callback(err, body);
+  }
+}
+
+function too_large(limit) {
+  var err = new Error('request body too large: ' + limit + ' bytes at most');
+  err.status = 413;
+  return err;
+}
+
+function get_boundary(type) {
+  var match = (type || '').match(/;\s*boundary=(?:"([^"]+)"|([^;\s]+))/i);
+  return match && (match[1] || match[2]);
+}
+
+function parse(body, boundary) {
+  var delimiter = Buffer.from('--' + boundary);
+  var separator = Buffer.from('\r\n\r\n');
+  var parts = [];
+  var pos = body.indexOf(delimiter);
+  if (pos < 0) throw new Error('multipart delimiter not found');
+
+  while (true) {
+    pos += delimiter.length;
+    if (body.toString('latin1', pos, pos + 2) == '--') break; // close delimiter
+    var start = body.indexOf(separator, pos);
+    if (start < 0) throw new Error('multipart headers not terminated');
+    var end = body.indexOf(Buffer.from('\r\n--' + boundary), start);
+    if (end < 0) throw new Error('multipart body not terminated');
+    var part = parse_headers(body.toString('utf8', pos, start));
+    part.data = body.slice(start + separator.length, end);
+    parts.push(part);
+    pos = end + 2;
+  }
+
+  return parts;
+}
+
+function parse_headers(text) {
+  var part = {};
+  text.split(/\r\n/).forEach(function(line) {
+    var match = line.match(/^([^:]+):\s*(.*)$/);
+    if (!match) return;
+    var key = match[1].toLowerCase();
+    var value = match[2];
+    if (key == 'content-type') {
+      part.type = value;
+    } else if (key == 'content-disposition') {
+      var name = value.match(/;\s*name="([^"]*)"/i);
+      var filename = value.match(/;\s*filename="([^"]*)"/i);
+      if (name) part.name = name[1];
+      if (filename) part.filename = filename[1].replace(/^.*[\/\\]/, ''); // base name only
+    }
+  });
+  return part;
+}
@@ -31,6 +31,7 @@ var INTERNAL_SERVER_ERROR = 500;
  * app.use(webapi.bodyParser());
  * app.use(webapi.prepare());
  * app.use(webapi.ready());
+ * app.all('/data/:id/:attachment', webapi.attachment(webmethods));
  * app.put('/data/:id?', webmethods.write);
  * app.del('/data/:id?', webmethods.erase);
  * app.all('/data/:id?', webapi.dispatch(webmethods));
@@ -77,6 +78,12 @@ function webmethods() {
  * app.use(express.static(__dirname + '/public'));
  * app.all('/data/:id?', KagoDB(opts).webapi());
  * app.listen(3000);
+ *
+ * @example
+ * // attachments: PUT or POST to upload, GET to download and DELETE to remove
+ * var webapi = KagoDB(opts).webapi();
+ * app.all('/data/:id/:attachment', webapi);
+ * app.all('/data/:id?', webapi);
  */
 
 function webapi() {
@@ -87,6 +94,7 @@ function webapi() {
     app.use(api.bodyParser());
     app.use(api.prepare());
     app.use(api.ready());
+    app.use(api.attachment(api.methods));
     app.use(verb('put', api.methods.write));
     app.use(verb('delete', api.methods.erase));
     app.use(api.dispatch(api.methods));
@@ -128,6 +136,27 @@ function webapi() {
     };
   };
 
+  api.attachment = function(methods) {
+    methods = methods || api.methods;
+    var handlers = {
+      get: methods.getAttachment,
+      head: methods.getAttachment,
+      put: methods.putAttachment,
+      post: methods.putAttachment,
+      delete: methods.removeAttachment
+    };
+    return function(req, res, next) {
+      if (!get_param(req, 'attachment') || get_param(req, 'method')) {
+        return next();
+      }
+      var func = handlers[req.method.toLowerCase()];
+      if (!func) {
+        return next();
+      }
+      func(req, res, next);
+    };
+  };
+
   api.cleanup = function() {
     return function(req, res, next) {
       delete req.kagodb;
@@ -1,8 +1,14 @@
 /*! webmethods.js */
 
+var utils = require('../core/utils');
+var multipart = require('./multipart');
+var stream; // = require('stream'); // lazy load
+
 var BAD_REQUEST = 400;
 var NOT_FOUND = 404;
+var PAYLOAD_TOO_LARGE = 413;
 var INTERNAL_SERVER_ERROR = 500;
+var ATTACHMENT_LIMIT = 10 * 1024 * 1024; // bytes
 
 /**
  * This mixin provides method handler functions for an express application.
@@ -229,6 +235,34 @@ WebMethods.prototype.find = function(req, res, next) {
   });
 };
 
+/**
+ * This is a bridge function to
+ * [aggregate()]{@linkcode KagoDB#aggregate}
+ * method from express webapi app.
+ *
+ * @param {Object} req - request object
+ * @param {Object} res - response object
+ * @param {Function} next - next function
+ */
+
+WebMethods.prototype.aggregate = function(req, res, next) {
+  parse_params('pipeline', 'options')(req, res, function() {
+    var collection = req.kagodb;
+    var pipeline = get_param(req, 'pipeline');
+    var options = get_param(req, 'options');
+
+    collection.emit('webapi', 'aggregate', pipeline, options);
+    collection.aggregate(pipeline, options, function(err, list) {
+      if (err) collection.emit('warn', 'aggregate failed:', err);
+      var success = {
+        data: list
+      };
+      if (err) return res.status(err.status == BAD_REQUEST ? BAD_REQUEST : INTERNAL_SERVER_ERROR).end();
+      res.send(success);
+    });
+  });
+};
+
 /**
  * This is a bridge function to
  * [findOne()]{@linkcode KagoDB#findOne}
@@ -282,6 +316,35 @@ WebMethods.prototype.count = function(req, res, next) {
   });
 };
 
+/**
+ * This is a bridge function to
+ * [distinct()]{@linkcode KagoDB#distinct}
+ * method from express webapi app.
+ *
+ * @param {Object} req - request object
+ * @param {Object} res - response object
+ * @param {Function} next - next function
+ */
+
+WebMethods.prototype.distinct = function(req, res, next) {
+  parse_params('condition', 'options')(req, res, function() {
+    var collection = req.kagodb;
+    var field = get_param(req, 'field');
+    var condition = get_param(req, 'condition');
+    var options = get_param(req, 'options');
+
+    collection.emit('webapi', 'distinct', field, condition, options);
+    collection.distinct(field, condition, options, function(err, list) {
+      if (err) collection.emit('warn', 'distinct failed:', err);
+      var success = {
+        data: list
+      };
+      if (err) return res.status(INTERNAL_SERVER_ERROR).end();
+      res.send(success);
+    });
+  });
+};
+
 /**
  * This is a bridge function to
  * [insert()]{@linkcode KagoDB#insert}
@@ -408,6 +471,158 @@ WebMethods.prototype.remove = function(req, res, next) {
   });
 };
 
+/**
+ * This is a bridge function to
+ * [putAttachment()]{@linkcode KagoDB#putAttachment}
+ * method from express webapi app.
+ * A multipart/form-data request stores each file part by its file name,
+ * or by "attachment" parameter when given.
+ * Other request bodies are streamed into the attachment named by "attachment" parameter.
+ * A Buffer body which a body parser has read is stored instead.
+ * "attachment_limit" option specifies the maximum request body size in bytes (default: 10485760).
+ * A longer body is rejected with 413 Payload Too Large.
+ *
+ * @param {Object} req - request object
+ * @param {Object} res - response object
+ * @param {Function} next - next function
+ */
+
+WebMethods.prototype.putAttachment = function(req, res, next) {
+  var collection = req.kagodb;
+  var id = get_param(req, 'id');
+  var name = get_param(req, 'attachment');
+  var limit = collection.get('attachment_limit') || ATTACHMENT_LIMIT;
+  if (!id) return next(); // id must be specified
+
+  if (multipart.check_length(req, limit)) return res.status(PAYLOAD_TOO_LARGE).end();
+
+  if (!multipart.is_multipart(req)) {
+    if (!name) return res.status(BAD_REQUEST).end();
+    return put([{
+      filename: name,
+      data: Buffer.isBuffer(req.body) ? req.body : limit_stream(req, limit)
+    }]);
+  }
+
+  multipart(req, limit, function(err, parts) {
+    if (err) collection.emit('warn', 'multipart failed:', err);
+    if (err) return res.status(err.status == PAYLOAD_TOO_LARGE ? PAYLOAD_TOO_LARGE : BAD_REQUEST).end();
+    parts = parts.filter(function(part) {
+      return 'undefined' != typeof part.filename;
+    });
+    if (!parts.length) return res.status(BAD_REQUEST).end();
+    if (name) {
+      if (parts.length > 1) return res.status(BAD_REQUEST).end();
+      parts[0].filename = name;
+    }
+    put(parts);
+  });
+
+  function put(parts) {
+    collection.exist(id, function(err, exist) {
+      if (err) collection.emit('warn', 'exist failed:', err);
+      if (err) return res.status(INTERNAL_SERVER_ERROR).end();
+      if (!exist) return res.status(NOT_FOUND).end();
+      utils.eachSeries(parts, function(part, next) {
+        collection.emit('webapi', 'putAttachment', id, part.filename);
+        collection.putAttachment(id, part.filename, part.data, next);
+      }, function(err) {
+        if (err && err.status == PAYLOAD_TOO_LARGE) return res.status(PAYLOAD_TOO_LARGE).end();
+        if (err) collection.emit('warn', 'putAttachment failed:', err);
+        if (err) return res.status(INTERNAL_SERVER_ERROR).end();
+        res.send(success);
+      });
+    });
+  }
+};
+
+/**
+ * This is a bridge function to
+ * [getAttachment()]{@linkcode KagoDB#getAttachment}
+ * method from express webapi app.
+ * The content is streamed with Content-Type guessed from the attachment name.
+ *
+ * @param {Object} req - request object
+ * @param {Object} res - response object
+ * @param {Function} next - next function
+ */
+
+WebMethods.prototype.getAttachment = function(req, res, next) {
+  var collection = req.kagodb;
+  var id = get_param(req, 'id');
+  var name = get_param(req, 'attachment');
+  if (!id || !name) return next(); // id and attachment must be specified
+
+  collection.emit('webapi', 'getAttachment', id, name);
+  var options = {
+    stream: true
+  };
+  collection.getAttachment(id, name, options, function(err, stream) {
+    if (is_not_found(err)) return res.status(NOT_FOUND).end();
+    if (err) collection.emit('warn', 'getAttachment failed:', err);
+    if (err) return res.status(INTERNAL_SERVER_ERROR).end();
+    stream.on('error', function(err) {
+      collection.emit('warn', 'getAttachment failed:', err);
+      res.end();
+    });
+    if (res.type) res.type(name); // express
+    if (req.method.toLowerCase() == 'head') {
+      if (stream.destroy) stream.destroy();
+      return res.end();
+    }
+    stream.pipe(res);
+  });
+};
+
+/**
+ * This is a bridge function to
+ * [listAttachments()]{@linkcode KagoDB#listAttachments}
+ * method from express webapi app.
+ *
+ * @param {Object} req - request object
+ * @param {Object} res - response object
+ * @param {Function} next - next function
+ */
+
+WebMethods.prototype.listAttachments = function(req, res, next) {
+  var collection = req.kagodb;
+  var id = get_param(req, 'id');
+  if (!id) return next(); // id must be specified
+
+  collection.emit('webapi', 'listAttachments', id);
+  collection.listAttachments(id, function(err, list) {
+    if (err) collection.emit('warn', 'listAttachments failed:', err);
+    var success = {
+      attachments: list
+    };
+    if (err) return res.status(INTERNAL_SERVER_ERROR).end();
+    res.send(success);
+  });
+};
+
+/**
+ * This is a bridge function to
+ * [removeAttachment()]{@linkcode KagoDB#removeAttachment}
+ * method from express webapi app.
+ *
+ * @param {Object} req - request object
+ * @param {Object} res - response object
+ * @param {Function} next - next function
+ */
+
+WebMethods.prototype.removeAttachment = function(req, res, next) {
+  var collection = req.kagodb;
+  var id = get_param(req, 'id');
+  var name = get_param(req, 'attachment');
+  if (!id || !name) return next(); // id and attachment must be specified
+
+  collection.emit('webapi', 'removeAttachment', id, name);
+  collection.removeAttachment(id, name, function(err) {
+    if (err) return res.status(NOT_FOUND).end();
+    res.send(success);
+  });
+};
+
 /**
  * @ignore
  */
@@ -436,6 +651,30 @@ function parse_params() {
  * @ignore
  */
 
+// a request body without Content-Length fails in the middle when it exceeds the limit
+function limit_stream(req, limit) {
+  stream = stream || require('stream'); // lazy load
+  var size = 0;
+  var limited = new stream.Transform({
+    transform: function(chunk, encoding, callback) {
+      size += chunk.length;
+      if (size <= limit) return callback(null, chunk);
+      var err = new Error('request body too large: ' + limit + ' bytes at most');
+      err.status = PAYLOAD_TOO_LARGE;
+      callback(err);
+    }
+  });
+  req.on('error', function(err) {
+    limited.destroy(err);
+  });
+  return req.pipe(limited);
+}
+
+function is_not_found(err) {
+  if (!err) return false;
+  return err.code == 'ENOENT' || err.message == 'Item not found' || err.message == 'Attachment not found';
+}
+
 function get_param(req, name) {
   if (req.params && (name in req.params)) return req.params[name];
   if (req.body && (name in req.body)) return req.body[name];
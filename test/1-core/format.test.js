@@ -0,0 +1,147 @@
+/*! format.test.js */
+
+var assert = require('chai').assert;
+var fs = require('fs');
+var KagoDB = require('../../index');
+var crud_tests = require('../testlib/crud_tests');
+
+describe('Format:', function() {
+  var item = {
+    name: 'FOO',
+    num: 123,
+    tags: ['a', 'b']
+  };
+
+  describe('registerFormat()', function() {
+    var Parent = KagoDB.inherit();
+    var Child = Parent.inherit();
+    var Uncle = KagoDB.inherit();
+    var reversed = {
+      encode: function(item) {
+        return JSON.stringify(item).split('').reverse().join('');
+      },
+      decode: function(source) {
+        return JSON.parse(source.split('').reverse().join(''));
+      },
+      suffix: '.rev'
+    };
+    Parent.registerFormat('reversed', reversed);
+
+    it('inherit()', function(done) {
+      assert.equal(Parent.formats.reversed, reversed, 'Parent should have the format');
+      assert.equal(Child.formats.reversed, reversed, 'Child should have the format');
+      assert(!Uncle.formats.reversed, 'Uncle should not have the format');
+      assert(Uncle.formats.json, 'built-in formats should be available');
+      assert.throws(function() {
+        Parent.registerFormat('invalid', {});
+      });
+      done();
+    });
+
+    it('encode() and decode()', function(done) {
+      var collection = new Child({
+        storage: 'memory',
+        format: 'reversed'
+      });
+      collection.encode(item, function(err, encoded) {
+        assert(!err, 'encode should success: ' + err);
+        assert.equal(encoded.substr(0, 1), '}', 'encode should use the format');
+        collection.decode(encoded, function(err, decoded) {
+          assert(!err, 'decode should success: ' + err);
+          assert.deepEqual(decoded, item, 'decode should use the format');
+          done();
+        });
+      });
+    });
+
+    it('invalid format', function(done) {
+      var collection = new KagoDB({
+        format: 'unknown'
+      });
+      collection.encode(item, function(err) {
+        assert(err, 'encode should fail with unknown format');
+        done();
+      });
+    });
+  });
+
+  describe('Built-in formats', function() {
+    ['json', 'yaml', 'json5', 'toml'].forEach(function(format) {
+      it(format, function(done) {
+        var collection = new KagoDB({
+          format: format
+        });
+        collection.encode(item, function(err, encoded) {
+          assert(!err, 'encode should success: ' + err);
+          assert.equal('string', typeof encoded, 'encode should return a string');
+          collection.decode(encoded, function(err, decoded) {
+            assert(!err, 'decode should success: ' + err);
+            assert.deepEqual(JSON.parse(JSON.stringify(decoded)), item, 'decode should restore the item');
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('TOML files', function() {
+    var date = (new Date()).toJSON().replace(/\.\d+|\D/g, '');
+    var folder = './data/toml-' + date;
+    var opts = {
+      storage: 'json',
+      path: folder,
+      format: 'toml'
+    };
+
+    it('prepare', function(done) {
+      fs.mkdir(folder, done);
+    });
+
+    crud_tests(KagoDB.inherit(opts));
+
+    it('suffix', function(done) {
+      var collection = new KagoDB(opts);
+      collection.write('bar', item, function(err) {
+        assert(!err, 'write should success: ' + err);
+        var content = fs.readFileSync(folder + '/bar.toml', 'utf8');
+        assert(/^name = "FOO"$/m.test(content), 'file should be TOML');
+        done();
+      });
+    });
+
+    it('cleanup', function(done) {
+      fs.readdirSync(folder).forEach(function(name) {
+        fs.unlinkSync(folder + '/' + name);
+      });
+      fs.rmdir(folder, done);
+    });
+  });
+
+  describe('YAML strings in localStorage', function() {
+    var opts = {
+      storage: 'local_storage',
+      namespace: 'format-yaml',
+      format: 'yaml'
+    };
+    crud_tests(KagoDB.inherit(opts));
+
+    it('stored as YAML', function(done) {
+      var collection = new KagoDB(opts);
+      collection.write('bar', item, function(err) {
+        assert(!err, 'write should success: ' + err);
+        var store = collection.memory_store();
+        assert.equal(store.getItem('format-yaml:bar').substr(0, 10), 'name: FOO\n', 'item should be YAML');
+        collection.erase('bar', done); // localStorage is shared with other tests
+      });
+    });
+  });
+
+  describe('JSON5 strings on memory', function() {
+    var opts = {
+      storage: 'memory',
+      memory_serialize: true,
+      format: 'json5'
+    };
+    crud_tests(KagoDB.inherit(opts));
+  });
+});
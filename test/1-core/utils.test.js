@@ -115,5 +115,25 @@ function utils_test(name, utils) {
       assert.equal(dest.bar, 'QUX', 'destination should change itself');
       done();
     });
+
+    it('utils.copy', function(done) {
+      assert('function' == typeof utils.copy, 'utils shoud provide copy() function');
+
+      function Item() {}
+      var source = new Item();
+      source.list = [{
+        foo: 'FOO'
+      }];
+      source.date = new Date(0);
+      var dest = utils.copy(source);
+      assert(dest instanceof Item, 'copy should keep prototype');
+      assert.deepEqual(dest.list, source.list, 'copy should have same content');
+      dest.list[0].foo = 'BAR';
+      assert.equal(source.list[0].foo, 'FOO', 'copy should be deep');
+      assert(dest.date instanceof Date, 'copy should keep Date');
+      assert(dest.date !== source.date, 'copy should duplicate Date');
+      assert.equal(utils.copy('FOO'), 'FOO', 'copy should return primitive value');
+      done();
+    });
   });
 }
@@ -1,6 +1,7 @@
 /*! memory.test.js */
 
 var assert = require('chai').assert;
+var fs = require('fs');
 var KagoDB = require('../../index');
 var crud_tests = require('../testlib/crud_tests');
 
@@ -25,7 +26,8 @@ describe('Memory Storage:', function() {
 
   describe('Serializer', function() {
     var opts = {
-      storage: 'memory'
+      storage: 'memory',
+      memory_serialize: true
     };
     var MyKago = KagoDB.inherit(opts);
     crud_tests(MyKago);
@@ -60,6 +62,232 @@ describe('Memory Storage:', function() {
     });
   });
 
+  describe('Object mode', function() {
+    var opts = {
+      storage: 'memory',
+      namespace: 'object-mode',
+      memory_serialize: false
+    };
+    var MyKago = KagoDB.inherit(opts);
+    crud_tests(MyKago);
+
+    var collection = new MyKago();
+
+    it('structured clone', function(done) {
+      var date = new Date();
+      var item = {
+        date: date,
+        list: [{
+          name: 'FOO'
+        }]
+      };
+      collection.write('foo', item, function(err) {
+        assert(!err, 'write should success');
+        item.list[0].name = 'BAR';
+        collection.read('foo', function(err, item1) {
+          assert(!err, 'read should success');
+          assert(item1.date instanceof Date, 'Date should be kept without JSON');
+          assert.equal(item1.date.getTime(), date.getTime(), 'Date should be same');
+          assert.equal(item1.list[0].name, 'FOO', 'stored value should be not changed');
+          item1.list[0].name = 'BUZ';
+          new MyKago().read('foo', function(err, item2) {
+            assert(!err, 'read should success');
+            assert.equal(item2.list[0].name, 'FOO', 'shared store should be not changed');
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('Snapshot', function() {
+    var date = (new Date()).toJSON().replace(/\.\d+|\D/g, '');
+    var path = './data/memory-' + date + '.json';
+    var item = {
+      name: 'FOO',
+      date: new Date(0)
+    };
+
+    it('dump() and restore()', function(done) {
+      var collection = new KagoDB({
+        storage: 'memory',
+        namespace: 'dump-' + date
+      });
+      collection.write('foo', item, function(err) {
+        assert(!err, 'write should success: ' + err);
+        collection.dump(path, function(err) {
+          assert(!err, 'dump should success: ' + err);
+          var other = new KagoDB({
+            storage: 'memory',
+            namespace: 'restore-' + date
+          });
+          other.write('bar', {}, function() {
+            other.restore(path, function(err) {
+              assert(!err, 'restore should success: ' + err);
+              other.index(function(err, list) {
+                assert.deepEqual(list, ['foo'], 'restore should replace items');
+                other.read('foo', function(err, item) {
+                  assert(!err, 'read should success: ' + err);
+                  assert.equal(item.name, 'FOO', 'restore should load items');
+                  assert(item.date instanceof Date, 'Date should be restored');
+                  done();
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('restore() in serialize mode', function(done) {
+      var collection = new KagoDB({
+        storage: 'memory',
+        memory_serialize: true
+      });
+      collection.restore(path, function(err) {
+        assert(!err, 'restore should success: ' + err);
+        collection.read('foo', function(err, item) {
+          assert(!err, 'read should success: ' + err);
+          assert.equal(item.name, 'FOO', 'restore should convert items');
+          done();
+        });
+      });
+    });
+
+    it('persist', function(done) {
+      var opts = {
+        storage: 'memory',
+        namespace: 'persist-' + date,
+        persist: path,
+        persist_interval: 10
+      };
+      var collection = new KagoDB(opts);
+      collection.read('foo', function(err, item) {
+        assert(!err, 'snapshot should be loaded at startup: ' + err);
+        assert.equal(item.name, 'FOO', 'read should return an item loaded');
+        collection.write('bar', {
+          name: 'BAR'
+        }, function(err) {
+          assert(!err, 'write should success: ' + err);
+          setTimeout(function() {
+            var json = JSON.parse(fs.readFileSync(path, 'utf8'));
+            assert(json.items.bar, 'snapshot should be saved on interval');
+            done();
+          }, 100);
+        });
+      });
+    });
+
+    it('persist retries after failure', function(done) {
+      var folder = './data/persist-' + date;
+      var file = folder + '/memory.json';
+      var collection = new KagoDB({
+        storage: 'memory',
+        namespace: 'persist-retry-' + date,
+        persist: file,
+        persist_interval: 10
+      });
+      var warned = 0;
+      collection.on('warn', function() {
+        warned++;
+      });
+      collection.write('foo', item, function(err) {
+        assert(!err, 'write should success: ' + err);
+        setTimeout(function() {
+          assert(warned > 1, 'save should be retried while the folder is missing');
+          fs.mkdirSync(folder);
+          setTimeout(function() {
+            assert(fs.existsSync(file), 'snapshot should be saved after the folder is made');
+            fs.unlinkSync(file);
+            fs.rmdir(folder, done);
+          }, 100);
+        }, 100);
+      });
+    });
+
+    it('cleanup', function(done) {
+      fs.unlink(path, done);
+    });
+  });
+
+  describe('Attachments', function() {
+    var date = (new Date()).toJSON().replace(/\.\d+|\D/g, '');
+    var opts = {
+      storage: 'memory',
+      namespace: 'attachment-' + date
+    };
+    var collection = new KagoDB(opts);
+    var data = Buffer.from([0, 1, 2, 255]);
+
+    it('putAttachment() and getAttachment()', function(done) {
+      collection.putAttachment('foo', 'image.png', data, function(err) {
+        assert(err, 'putAttachment should fail without item');
+        collection.write('foo', {}, function(err) {
+          assert(!err, 'write should success: ' + err);
+          collection.putAttachment('foo', 'image.png', data, function(err) {
+            assert(!err, 'putAttachment should success: ' + err);
+            var other = new KagoDB(opts);
+            other.getAttachment('foo', 'image.png', function(err, buffer) {
+              assert(!err, 'getAttachment should success: ' + err);
+              assert(Buffer.isBuffer(buffer), 'getAttachment should return a Buffer');
+              assert.equal(buffer.toString('hex'), '000102ff', 'attachment should be shared in namespace');
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('stream', function(done) {
+      var source = fs.createReadStream(__filename);
+      collection.putAttachment('foo', 'test.js', source, function(err) {
+        assert(!err, 'putAttachment should success: ' + err);
+        collection.getAttachment('foo', 'test.js', {
+          stream: true
+        }, function(err, stream) {
+          assert(!err, 'getAttachment should success: ' + err);
+          var chunks = [];
+          stream.on('data', function(chunk) {
+            chunks.push(chunk);
+          });
+          stream.on('end', function() {
+            var content = Buffer.concat(chunks).toString();
+            assert.equal(content, fs.readFileSync(__filename, 'utf8'), 'stream should be stored');
+            done();
+          });
+        });
+      });
+    });
+
+    it('listAttachments() and removeAttachment()', function(done) {
+      collection.listAttachments('foo', function(err, list) {
+        assert(!err, 'listAttachments should success: ' + err);
+        assert.deepEqual(list, ['image.png', 'test.js'], 'listAttachments should return names');
+        collection.removeAttachment('foo', 'image.png', function(err) {
+          assert(!err, 'removeAttachment should success: ' + err);
+          collection.getAttachment('foo', 'image.png', function(err) {
+            assert(err, 'getAttachment should fail after removed');
+            collection.removeAttachment('foo', 'image.png', function(err) {
+              assert(err, 'removeAttachment should fail after removed');
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('erase() removes attachments', function(done) {
+      collection.erase('foo', function(err) {
+        assert(!err, 'erase should success: ' + err);
+        collection.listAttachments('foo', function(err, list) {
+          assert(!err, 'listAttachments should success: ' + err);
+          assert.equal(list.length, 0, 'attachments should be removed');
+          done();
+        });
+      });
+    });
+  });
+
   describe('Inter-namespace', function() {
     var opts1 = {
       storage: 'memory',
@@ -0,0 +1,190 @@
+/*! cache.test.js */
+
+var assert = require('chai').assert;
+var KagoDB = require('../../index');
+var cache = KagoDB.bundle.cache;
+
+// counts reads and index calls to the storage
+var reads = 0;
+var indexes = 0;
+var Counted = KagoDB.inherit();
+Counted.mixin(function() {
+  var _read = this.read;
+  var _index = this.index;
+  this.read = function() {
+    reads++;
+    return _read.apply(this, arguments);
+  };
+  this.index = function() {
+    indexes++;
+    return _index.apply(this, arguments);
+  };
+});
+
+var MyKago = Counted.inherit();
+MyKago.mixin(cache());
+
+function Item() {}
+
+describe('Cache Mixin:', function() {
+  var opts = {
+    storage: 'memory',
+    primary_key: '_id',
+    model: Item,
+    cache_size: 2
+  };
+  var collection = new MyKago(opts);
+  var hits = 0;
+  var misses = 0;
+  collection.on('cache_hit', function() {
+    hits++;
+  });
+  collection.on('cache_miss', function() {
+    misses++;
+  });
+
+  it('write', function(done) {
+    collection.write('foo', {
+      name: 'FOO',
+      tags: ['a']
+    }, function(err) {
+      assert(!err, 'write should success: ' + err);
+      collection.write('bar', {
+        name: 'BAR'
+      }, done);
+    });
+  });
+
+  it('read-through', function(done) {
+    collection.read('foo', function(err, item) {
+      assert(!err, 'read should success: ' + err);
+      assert.equal(reads, 1, 'storage should be read');
+      item.tags.push('b'); // should not affect the cache
+      collection.read('foo', function(err, item) {
+        assert(!err, 'read should success: ' + err);
+        assert.equal(reads, 1, 'storage should not be read again');
+        assert.equal(item.name, 'FOO', 'cached item');
+        assert.deepEqual(item.tags, ['a'], 'cached item should be isolated');
+        assert(item instanceof Item, 'cached item should keep its model');
+        assert.equal(item._id, 'foo', 'cached item should have its primary key');
+        assert.equal(hits, 1, 'cache_hit event');
+        assert.equal(misses, 1, 'cache_miss event');
+        done();
+      });
+    });
+  });
+
+  it('find() and index()', function(done) {
+    collection.find().toArray(function(err, list) {
+      assert(!err, 'find should success: ' + err);
+      assert.equal(list.length, 2, 'find should return all items');
+      collection.find().toArray(function(err, list) {
+        assert(!err, 'find should success: ' + err);
+        assert.equal(list.length, 2, 'find should return all items');
+        assert.equal(indexes, 1, 'index should be cached');
+        assert.equal(reads, 2, 'items should be cached');
+        done();
+      });
+    });
+  });
+
+  it('invalidate on write and erase', function(done) {
+    collection.write('foo', {
+      name: 'FOO2'
+    }, function(err) {
+      assert(!err, 'write should success: ' + err);
+      collection.read('foo', function(err, item) {
+        assert(!err, 'read should success: ' + err);
+        assert.equal(item.name, 'FOO2', 'read should return a new item');
+        assert.equal(reads, 3, 'storage should be read after write');
+        collection.erase('bar', function(err) {
+          assert(!err, 'erase should success: ' + err);
+          collection.index(function(err, list) {
+            assert(!err, 'index should success: ' + err);
+            assert.deepEqual(list, ['foo'], 'index should not contain erased item');
+            assert.equal(indexes, 1, 'index should be updated on memory');
+            collection.exist('bar', function(err, exist) {
+              assert(!exist, 'erased item should not exist');
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('cache_size', function(done) {
+    collection.cache_clear();
+    reads = 0;
+    var ids = ['foo', 'baz', 'qux'];
+    collection.write('baz', {}, function() {
+      collection.write('qux', {}, function() {
+        read_all(function() {
+          assert.equal(reads, 3, 'storage should be read');
+          read_all(function() {
+            assert.equal(reads, 6, 'least recently used items should be removed');
+            done();
+          });
+        });
+      });
+    });
+
+    function read_all(callback) {
+      var list = ids.slice();
+      next();
+
+      function next() {
+        if (!list.length) return callback();
+        collection.read(list.shift(), next);
+      }
+    }
+  });
+
+  it('cache_clear() during read', function(done) {
+    // the storage returns an item read before cache_clear() was called
+    var Delayed = Counted.inherit();
+    Delayed.mixin(function() {
+      var _read = this.read;
+      this.read = function(id, callback) {
+        var self = this;
+        _read.call(this, id, function(err, item) {
+          setTimeout(function() {
+            callback.call(self, err, item);
+          }, 1);
+        });
+      };
+    });
+    Delayed.mixin(cache());
+    var collection = new Delayed({
+      storage: 'memory'
+    });
+    collection.write('foo', {}, function() {
+      reads = 0;
+      collection.read('foo', function() {
+        collection.read('foo', function() {
+          assert.equal(reads, 2, 'item read before cache_clear() should not be cached');
+          done();
+        });
+      });
+      collection.cache_clear();
+    });
+  });
+
+  it('cache_ttl', function(done) {
+    var collection = new MyKago({
+      storage: 'memory',
+      cache_ttl: 1
+    });
+    collection.write('foo', {}, function() {
+      reads = 0;
+      collection.read('foo', function() {
+        setTimeout(function() {
+          collection.read('foo', function() {
+            assert.equal(reads, 2, 'expired cache should not be used');
+            done();
+          });
+        }, 10);
+      });
+    });
+  });
+});
@@ -0,0 +1,252 @@
+/*! encrypt.test.js */
+
+var assert = require('chai').assert;
+var fs = require('fs');
+var crypto = require('crypto');
+var KagoDB = require('../../index');
+var crud_tests = require('../testlib/crud_tests');
+var encrypt = KagoDB.bundle.encrypt;
+
+var MyKago = KagoDB.inherit();
+MyKago.mixin(encrypt());
+
+describe('Encrypt Mixin:', function() {
+  var key1 = crypto.randomBytes(32);
+  var key2 = crypto.randomBytes(32).toString('hex');
+
+  describe('CRUD with YAML', function() {
+    var date = (new Date()).toJSON().replace(/\.\d+|\D/g, '');
+    var folder = './data/encrypt-' + date;
+    var opts = {
+      storage: 'yaml',
+      path: folder,
+      encrypt_key: key1
+    };
+
+    it('prepare', function(done) {
+      fs.mkdir(folder, done);
+    });
+
+    crud_tests(MyKago.inherit(opts));
+
+    it('cleanup', function(done) {
+      fs.readdirSync(folder).forEach(function(name) {
+        fs.unlinkSync(folder + '/' + name);
+      });
+      fs.rmdir(folder, done);
+    });
+  });
+
+  describe('CRUD with memory', function() {
+    var opts = {
+      storage: 'memory',
+      memory_serialize: true,
+      encrypt_key: key2
+    };
+    crud_tests(MyKago.inherit(opts));
+  });
+
+  describe('Unsupported storages', function() {
+    var date = (new Date()).toJSON().replace(/\.\d+|\D/g, '');
+    var file = './data/encrypt-' + date + '.jsonl';
+
+    it('jsonl', function(done) {
+      var collection = new MyKago({
+        storage: 'jsonl',
+        path: file,
+        encrypt_key: key1
+      });
+      collection.write('foo', {
+        name: 'SECRET'
+      }, function(err) {
+        assert(err, 'write should fail');
+        assert(!fs.existsSync(file), 'item should not be written in plaintext');
+        collection.read('foo', function(err) {
+          assert(err, 'read should fail');
+          done();
+        });
+      });
+    });
+
+    it('memory without memory_serialize', function(done) {
+      var collection = new MyKago({
+        storage: 'memory',
+        encrypt_key: key1
+      });
+      collection.write('foo', {
+        name: 'SECRET'
+      }, function(err) {
+        assert(err, 'write should fail');
+        done();
+      });
+    });
+
+    it('indexeddb', function(done) {
+      var collection = new MyKago({
+        storage: 'indexeddb',
+        encrypt_key: key1
+      });
+      collection.write('foo', {
+        name: 'SECRET'
+      }, function(err) {
+        assert(err, 'write should fail');
+        done();
+      });
+    });
+
+    it('overlay', function(done) {
+      var layer = new KagoDB({
+        storage: 'memory'
+      });
+      var collection = new MyKago({
+        storage: 'overlay',
+        layers: [layer],
+        encrypt_key: key1
+      });
+      collection.write('foo', {
+        name: 'SECRET'
+      }, function(err) {
+        assert(err, 'write should fail');
+        layer.exist('foo', function(err, exist) {
+          assert(!exist, 'item should not be written in plaintext');
+          done();
+        });
+      });
+    });
+
+    it('custom storage', function(done) {
+      var store = {};
+      var collection = new MyKago({
+        storage: function() {
+          return {
+            write: function(id, item, callback) {
+              store[id] = item;
+              callback();
+            }
+          };
+        },
+        encrypt_key: key1
+      });
+      collection.write('foo', {
+        name: 'SECRET'
+      }, function(err) {
+        assert(err, 'write should fail');
+        assert(!store.foo, 'item should not be written in plaintext');
+        done();
+      });
+    });
+  });
+
+  describe('Payload', function() {
+    var date = (new Date()).toJSON().replace(/\.\d+|\D/g, '');
+    var id = 'encrypt-' + date;
+    var file = './data/' + id + '.json';
+    var opts = {
+      storage: 'json',
+      path: './data',
+      encrypt_key: {
+        k1: key1,
+        k2: key2
+      },
+      encrypt_key_id: 'k1'
+    };
+    var item = {
+      name: 'SECRET'
+    };
+
+    it('encrypted at rest', function(done) {
+      var collection = new MyKago(opts);
+      collection.write(id, item, function(err) {
+        assert(!err, 'write should success: ' + err);
+        var content = fs.readFileSync(file, 'utf8');
+        assert.equal(content.indexOf('SECRET'), -1, 'file should not contain plaintext');
+        assert.equal(content.indexOf('aes-256-gcm:k1:'), 0, 'file should be tagged with the key ID');
+        collection.read(id, function(err, item) {
+          assert(!err, 'read should success: ' + err);
+          assert.equal(item.name, 'SECRET', 'read should decrypt item');
+          done();
+        });
+      });
+    });
+
+    it('key rotation', function(done) {
+      var collection = new MyKago(opts);
+      collection.set('encrypt_key_id', 'k2');
+      collection.read(id, function(err, item) {
+        assert(!err, 'item encrypted with the old key should be readable: ' + err);
+        collection.write(id, item, function(err) {
+          assert(!err, 'write should success: ' + err);
+          var content = fs.readFileSync(file, 'utf8');
+          assert.equal(content.indexOf('aes-256-gcm:k2:'), 0, 'item should be re-encrypted with the new key');
+          done();
+        });
+      });
+    });
+
+    it('key provider', function(done) {
+      var requested = [];
+      var collection = new MyKago({
+        storage: 'json',
+        path: './data',
+        encrypt_key: function(key_id, callback) {
+          requested.push(key_id);
+          setTimeout(function() {
+            callback(null, key_id == 'k2' ? key2 : null);
+          }, 1);
+        }
+      });
+      collection.read(id, function(err, item) {
+        assert(!err, 'read should success: ' + err);
+        assert.equal(item.name, 'SECRET', 'read should decrypt item');
+        collection.write('foo', item, function(err) {
+          assert(err, 'write should fail without the default key');
+          assert.deepEqual(requested, ['k2', 'default'], 'provider should be called with key IDs');
+          done();
+        });
+      });
+    });
+
+    it('truncated auth tag', function(done) {
+      var collection = new MyKago(opts);
+      var content = fs.readFileSync(file, 'utf8');
+      var data = content.split(':');
+      data[3] = Buffer.from(data[3], 'base64').slice(0, 12).toString('base64');
+      fs.writeFileSync(file, data.join(':'));
+      collection.read(id, function(err) {
+        assert(err, 'read should fail with truncated auth tag');
+        fs.writeFileSync(file, content);
+        done();
+      });
+    });
+
+    it('tampered payload', function(done) {
+      var collection = new MyKago(opts);
+      var content = fs.readFileSync(file, 'utf8');
+      var data = content.split(':');
+      data[4] = Buffer.from('{"name":"EVIL"}').toString('base64');
+      fs.writeFileSync(file, data.join(':'));
+      collection.read(id, function(err) {
+        assert(err, 'read should fail with tampered payload');
+        done();
+      });
+    });
+
+    it('plaintext', function(done) {
+      fs.writeFileSync(file, JSON.stringify(item));
+      var collection = new MyKago(opts);
+      collection.read(id, function(err) {
+        assert(err, 'read should fail with plaintext per default');
+        collection.set('encrypt_plaintext', true);
+        collection.read(id, function(err, item) {
+          assert(!err, 'read should success with encrypt_plaintext: ' + err);
+          assert.equal(item.name, 'SECRET', 'plaintext should be readable');
+          done();
+        });
+      });
+    });
+
+    it('cleanup', function(done) {
+      fs.unlink(file, done);
+    });
+  });
+});
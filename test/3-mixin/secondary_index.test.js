@@ -0,0 +1,429 @@
+/*! secondary_index.test.js */
+
+var assert = require('chai').assert;
+var fs = require('fs');
+var KagoDB = require('../../index');
+var async = require('async');
+var DuplicateKeyError = KagoDB.bundle.duplicate_key_error;
+
+describe('Secondary Index Mixin:', function() {
+  var items = {
+    foo: {
+      name: 'FOO',
+      num: 1,
+      address: {
+        city: 'Tokyo'
+      }
+    },
+    bar: {
+      name: 'BAR',
+      num: 2,
+      address: {
+        city: 'Osaka'
+      }
+    },
+    baz: {
+      name: 'BAZ',
+      num: '1',
+      address: {
+        city: 'Tokyo'
+      }
+    }
+  };
+
+  var collection = new KagoDB({
+    storage: 'memory'
+  });
+
+  var reads = [];
+  var _read = collection.read;
+  collection.read = function(id, callback) {
+    reads.push(id);
+    _read.call(this, id, callback);
+  };
+
+  function find(condition, callback) {
+    reads = [];
+    collection.find(condition).sort({
+      name: 1
+    }).toArray(function(err, list) {
+      assert(!err, 'find should success: ' + err);
+      list = list.map(function(item) {
+        return item.name;
+      });
+      callback(list, reads.sort());
+    });
+  }
+
+  it('prepare', function(done) {
+    async.eachSeries(Object.keys(items), function(id, next) {
+      collection.write(id, items[id], next);
+    }, done);
+  });
+
+  it('ensureIndex()', function(done) {
+    collection.ensureIndex('num', function(err, name) {
+      assert(!err, 'ensureIndex should success: ' + err);
+      assert.equal(name, 'num_1', 'index name');
+      collection.ensureIndex({
+        'address.city': 1,
+        name: 1
+      }, {
+        unique: true
+      }, function(err, name) {
+        assert(!err, 'ensureIndex should success: ' + err);
+        assert.equal(name, 'address.city_1_name_1', 'index name');
+        done();
+      });
+    });
+  });
+
+  it('indexes()', function(done) {
+    collection.indexes(function(err, list) {
+      assert(!err, 'indexes should success: ' + err);
+      assert.deepEqual(list, [{
+        name: 'num_1',
+        key: {
+          num: 1
+        },
+        unique: false,
+        sparse: false
+      }, {
+        name: 'address.city_1_name_1',
+        key: {
+          'address.city': 1,
+          name: 1
+        },
+        unique: true,
+        sparse: false
+      }]);
+      done();
+    });
+  });
+
+  it('equality', function(done) {
+    find({
+      num: 2
+    }, function(list, reads) {
+      assert.deepEqual(list, ['BAR'], 'item should be found');
+      assert.deepEqual(reads, ['bar'], 'only the matched item should be read');
+      done();
+    });
+  });
+
+  it('loose equality', function(done) {
+    find({
+      num: 1
+    }, function(list, reads) {
+      assert.deepEqual(list, ['BAZ', 'FOO'], 'number and string should match');
+      assert.deepEqual(reads, ['baz', 'foo'], 'only the matched items should be read');
+      done();
+    });
+  });
+
+  it('$in and compound', function(done) {
+    find({
+      address: {
+        city: 'Tokyo'
+      },
+      name: {
+        $in: ['FOO', 'BAR']
+      }
+    }, function(list, reads) {
+      assert.deepEqual(list, ['FOO'], 'item should be found');
+      assert.deepEqual(reads, ['foo'], 'only the matched item should be read');
+      done();
+    });
+  });
+
+  it('condition without index', function(done) {
+    find({
+      name: 'FOO'
+    }, function(list, reads) {
+      assert.deepEqual(list, ['FOO'], 'item should be found');
+      assert.equal(reads.length, 3, 'all items should be read');
+      done();
+    });
+  });
+
+  it('write and erase', function(done) {
+    collection.write('qux', {
+      name: 'QUX',
+      num: 2
+    }, function(err) {
+      assert(!err, 'write should success: ' + err);
+      collection.write('bar', {
+        name: 'BAR',
+        num: 3
+      }, function(err) {
+        assert(!err, 'write should success: ' + err);
+        find({
+          num: 2
+        }, function(list, reads) {
+          assert.deepEqual(list, ['QUX'], 'index should be updated by write');
+          assert.deepEqual(reads, ['qux'], 'only the matched item should be read');
+          collection.erase('qux', function(err) {
+            assert(!err, 'erase should success: ' + err);
+            find({
+              num: 2
+            }, function(list, reads) {
+              assert.deepEqual(list, [], 'index should be updated by erase');
+              assert.deepEqual(reads, [], 'no item should be read');
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('dropIndex()', function(done) {
+    collection.dropIndex('num_1', function(err) {
+      assert(!err, 'dropIndex should success: ' + err);
+      collection.dropIndex({
+        num: 1
+      }, function(err) {
+        assert(err, 'dropIndex should fail for an index not found');
+        find({
+          num: 3
+        }, function(list, reads) {
+          assert.deepEqual(list, ['BAR'], 'item should be found');
+          assert.equal(reads.length, 3, 'all items should be read');
+          done();
+        });
+      });
+    });
+  });
+
+  describe('Unique', function() {
+    var opts = {
+      storage: 'memory',
+      primary_key: '_id'
+    };
+    var collection = new KagoDB(opts);
+
+    function assert_dup(err, name) {
+      assert(err instanceof DuplicateKeyError, 'should fail with DuplicateKeyError: ' + err);
+      assert.equal(err.code, 11000, 'error code');
+      assert.equal(err.index, name, 'index name');
+    }
+
+    it('ensureIndex()', function(done) {
+      collection.ensureIndex('username', {
+        unique: true
+      }, function(err) {
+        assert(!err, 'ensureIndex should success: ' + err);
+        collection.ensureIndex('slug', {
+          unique: true,
+          sparse: true
+        }, done);
+      });
+    });
+
+    it('insert()', function(done) {
+      collection.insert({
+        _id: 'foo',
+        username: 'foo'
+      }, function(err) {
+        assert(!err, 'insert should success: ' + err);
+        collection.insert({
+          username: 'foo'
+        }, function(err) {
+          assert_dup(err, 'username_1');
+          assert.equal(err.id, 'foo', 'ID of the item which has the value');
+          assert.deepEqual(err.key, {
+            username: 'foo'
+          }, 'values duplicated');
+          collection.insert([{
+            _id: 'bar',
+            username: 'bar'
+          }, {
+            _id: 'baz',
+            username: 'bar'
+          }], function(err) {
+            assert_dup(err, 'username_1');
+            collection.exist('bar', function(err, exist) {
+              assert(!exist, 'no items should be written');
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('save()', function(done) {
+      collection.save({
+        _id: 'foo',
+        username: 'foo',
+        slug: 'hello'
+      }, function(err) {
+        assert(!err, 'save should success for the same item: ' + err);
+        collection.save({
+          _id: 'bar',
+          username: 'foo'
+        }, function(err) {
+          assert_dup(err, 'username_1');
+          collection.save({
+            _id: 'bar',
+            username: 'bar',
+            slug: 'hello'
+          }, function(err) {
+            assert_dup(err, 'slug_1');
+            done();
+          });
+        });
+      });
+    });
+
+    it('update() and findAndModify()', function(done) {
+      collection.insert({
+        _id: 'bar',
+        username: 'bar'
+      }, function(err) {
+        assert(!err, 'insert should success: ' + err);
+        var update = {
+          $set: {
+            username: 'foo'
+          }
+        };
+        collection.update({
+          _id: 'bar'
+        }, update, function(err) {
+          assert_dup(err, 'username_1');
+          collection.findAndModify({
+            _id: 'bar'
+          }, null, update, function(err) {
+            assert_dup(err, 'username_1');
+            collection.read('bar', function(err, item) {
+              assert(!err, 'read should success: ' + err);
+              assert.equal(item.username, 'bar', 'item should not be modified');
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('strict comparison', function(done) {
+      collection.write('one', {
+        username: '1'
+      }, function(err) {
+        assert(!err, 'write should success: ' + err);
+        collection.write('two', {
+          username: 1
+        }, function(err) {
+          assert(!err, '"1" and 1 should be different: ' + err);
+          done();
+        });
+      });
+    });
+
+    it('sparse', function(done) {
+      collection.write('nobody', {}, function(err) {
+        assert(!err, 'write should success: ' + err);
+        collection.write('anybody', {}, function(err) {
+          assert_dup(err, 'username_1');
+          collection.write('anybody', {
+            username: 'anybody'
+          }, function(err) {
+            assert(!err, 'sparse index should allow items without the field: ' + err);
+            done();
+          });
+        });
+      });
+    });
+
+    it('erase', function(done) {
+      collection.erase('foo', function(err) {
+        assert(!err, 'erase should success: ' + err);
+        collection.write('bar', {
+          username: 'foo',
+          slug: 'hello'
+        }, function(err) {
+          assert(!err, 'erased values should be available: ' + err);
+          done();
+        });
+      });
+    });
+
+    it('existing duplicates', function(done) {
+      collection.ensureIndex('name', {
+        unique: true
+      }, function(err) {
+        assert_dup(err, 'name_1');
+        collection.indexes(function(err, list) {
+          var names = list.map(function(index) {
+            return index.name;
+          });
+          assert.deepEqual(names, ['username_1', 'slug_1'], 'index should not be created');
+          done();
+        });
+      });
+    });
+
+    it('different options', function(done) {
+      collection.ensureIndex('username', function(err) {
+        assert(err, 'ensureIndex should fail without unique option');
+        collection.ensureIndex('slug', {
+          unique: true
+        }, function(err) {
+          assert(err, 'ensureIndex should fail without sparse option');
+          collection.ensureIndex('username', {
+            unique: true
+          }, function(err, name) {
+            assert(!err, 'ensureIndex should success with the same options: ' + err);
+            assert.equal(name, 'username_1', 'index name');
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('Unique on YAML', function() {
+    var date = (new Date()).toJSON().replace(/\.\d+|\D/g, '');
+    var folder = './data/unique-' + date;
+    var opts = {
+      storage: 'yaml',
+      path: folder,
+      primary_key: 'id'
+    };
+
+    it('prepare', function(done) {
+      fs.mkdir(folder, done);
+    });
+
+    it('insert()', function(done) {
+      var collection = new KagoDB(opts);
+      collection.insert({
+        username: 'foo'
+      }, function(err) {
+        assert(!err, 'insert should success: ' + err);
+
+        // another instance builds the index from files
+        collection = new KagoDB(opts);
+        collection.ensureIndex('username', {
+          unique: true
+        });
+        collection.insert({
+          username: 'foo'
+        }, function(err) {
+          assert_dup(err);
+          assert.equal(fs.readdirSync(folder).length, 1, 'file should not be written');
+          done();
+        });
+      });
+    });
+
+    it('cleanup', function(done) {
+      fs.readdirSync(folder).forEach(function(name) {
+        fs.unlinkSync(folder + '/' + name);
+      });
+      fs.rmdir(folder, done);
+    });
+
+    function assert_dup(err) {
+      assert(err instanceof DuplicateKeyError, 'should fail with DuplicateKeyError: ' + err);
+    }
+  });
+});
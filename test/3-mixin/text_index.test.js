@@ -0,0 +1,193 @@
+/*! text_index.test.js */
+
+var assert = require('chai').assert;
+var KagoDB = require('../../index');
+var async = require('async');
+var text_index = KagoDB.bundle.text_index;
+
+var MyKago = KagoDB.inherit();
+MyKago.mixin(text_index());
+
+describe('Text Index Mixin:', function() {
+  var items = {
+    foo: {
+      title: 'Running with indexes',
+      body: 'The quick brown fox jumps over the lazy dog.'
+    },
+    bar: {
+      title: 'Cities of Japan',
+      body: '東京都と京都府は日本の都市です。',
+      tags: ['travel']
+    },
+    baz: {
+      title: 'Dogs',
+      body: 'A dog runs in the park. Dogs love parks.'
+    },
+    qux: {
+      title: 'Nothing',
+      body: 123
+    }
+  };
+
+  var collection = new MyKago({
+    storage: 'memory',
+    text_fields: {
+      title: 10,
+      body: 1,
+      tags: 1
+    }
+  });
+
+  function search(query, callback) {
+    collection.find({
+      $text: {
+        $search: query
+      }
+    }).toArray(function(err, list) {
+      assert(!err, 'find should success: ' + err);
+      callback(list.map(function(item) {
+        return item.title;
+      }), list);
+    });
+  }
+
+  it('prepare', function(done) {
+    async.eachSeries(Object.keys(items), function(id, next) {
+      collection.write(id, items[id], next);
+    }, done);
+  });
+
+  it('words and stemming', function(done) {
+    search('run INDEX', function(titles) {
+      assert.deepEqual(titles, ['Running with indexes', 'Dogs'], 'sorted by relevance');
+      search('the', function(titles) {
+        assert.deepEqual(titles, [], 'stop words should be ignored');
+        done();
+      });
+    });
+  });
+
+  it('CJK bigrams', function(done) {
+    search('京都', function(titles) {
+      assert.deepEqual(titles, ['Cities of Japan'], 'Japanese text should be found');
+      search('大阪', function(titles) {
+        assert.deepEqual(titles, [], 'other words should not be found');
+        done();
+      });
+    });
+  });
+
+  it('phrase and negation', function(done) {
+    search('dog -park', function(titles) {
+      assert.deepEqual(titles, ['Running with indexes'], 'negated word should exclude items');
+      search('"lazy dog" travel', function(titles) {
+        assert.deepEqual(titles, ['Running with indexes'], 'phrase should be required');
+        done();
+      });
+    });
+  });
+
+  it('phrase word order', function(done) {
+    search('"dog lazy"', function(titles) {
+      assert.deepEqual(titles, [], 'words in another order should not match');
+      search('"quick fox"', function(titles) {
+        assert.deepEqual(titles, [], 'words apart should not match');
+        search('"over a lazy dog"', function(titles) {
+          assert.deepEqual(titles, ['Running with indexes'], 'stop words should be ignored');
+          search('"indexes quick"', function(titles) {
+            assert.deepEqual(titles, [], 'phrase should not span fields');
+            search('"東京都"', function(titles) {
+              assert.deepEqual(titles, ['Cities of Japan'], 'CJK phrase should be found');
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('unsupported $text options', function(done) {
+    collection.find({
+      $text: {
+        $search: 'dog',
+        $caseSensitive: true
+      }
+    }).toArray(function(err) {
+      assert(err, 'find should fail with $caseSensitive');
+      collection.find({
+        $text: {
+          $search: 'dog',
+          $language: 'en'
+        }
+      }).toArray(function(err) {
+        assert(err, 'find should fail with $language');
+        done();
+      });
+    });
+  });
+
+  it('score for sort() and projection', function(done) {
+    var condition = {
+      $text: {
+        $search: 'dog'
+      }
+    };
+    var projection = {
+      title: 1,
+      _score: 1
+    };
+    collection.find(condition, projection).sort({
+      _score: 1
+    }).toArray(function(err, list) {
+      assert(!err, 'find should success: ' + err);
+      assert.equal(list.length, 2, 'two items should be found');
+      assert.deepEqual(Object.keys(list[0]).sort(), ['_score', 'title'], 'projection should have score');
+      assert(list[0]._score < list[1]._score, 'items should be sorted by score');
+      assert.equal(list[1].title, 'Dogs', 'title has more weight');
+      done();
+    });
+  });
+
+  it('with other conditions', function(done) {
+    collection.count({
+      $text: {
+        $search: 'dog'
+      },
+      title: 'Dogs'
+    }, function(err, count) {
+      assert(!err, 'count should success: ' + err);
+      assert.equal(count, 1, 'other conditions should be applied');
+      done();
+    });
+  });
+
+  it('write and erase', function(done) {
+    collection.write('quux', {
+      title: 'Parks in Kyoto',
+      body: '京都の公園'
+    }, function(err) {
+      assert(!err, 'write should success: ' + err);
+      collection.erase('bar', function(err) {
+        assert(!err, 'erase should success: ' + err);
+        search('京都', function(titles) {
+          assert.deepEqual(titles, ['Parks in Kyoto'], 'index should be updated');
+          done();
+        });
+      });
+    });
+  });
+
+  it('text_fields not configured', function(done) {
+    var collection = new MyKago({
+      storage: 'memory'
+    });
+    collection.find({
+      $text: {
+        $search: 'foo'
+      }
+    }).toArray(function(err) {
+      assert(err, 'find should fail without text_fields');
+      done();
+    });
+  });
+});
@@ -0,0 +1,205 @@
+/*! aggregate.test.js */
+
+var assert = require('chai').assert;
+var _KagoDB = require('../../index');
+var async = require('async');
+
+module.exports = function(KagoDB) {
+  describe('Aggregate:', function() {
+    main_tests(KagoDB);
+  });
+};
+
+var MPE = module.parent && module.parent.exports || {};
+if (!MPE.DONT_RUN_TESTS_ON_REQUIRE) {
+  module.exports(_KagoDB);
+}
+
+function main_tests(KagoDB) {
+  var opts = {
+    storage: 'memory'
+  };
+  var collection = new KagoDB(opts);
+
+  var data = {
+    apple: {
+      name: 'apple',
+      category: 'fruit',
+      price: 100,
+      tags: ['red', 'sweet']
+    },
+    banana: {
+      name: 'banana',
+      category: 'fruit',
+      price: 50,
+      tags: ['yellow', 'sweet']
+    },
+    carrot: {
+      name: 'carrot',
+      category: 'vegetable',
+      price: 30,
+      tags: ['red']
+    },
+    daikon: {
+      name: 'daikon',
+      category: 'vegetable',
+      price: 120,
+      tags: []
+    }
+  };
+
+  it('write()', function(done) {
+    async.eachSeries(Object.keys(data), function(id, next) {
+      collection.write(id, data[id], next);
+    }, done);
+  });
+
+  it('$match, $group and $sort', function(done) {
+    var pipeline = [{
+      $match: {
+        price: {
+          $gte: 50
+        }
+      }
+    }, {
+      $group: {
+        _id: '$category',
+        total: {
+          $sum: '$price'
+        },
+        count: {
+          $sum: 1
+        },
+        avg: {
+          $avg: '$price'
+        },
+        min: {
+          $min: '$price'
+        },
+        max: {
+          $max: '$price'
+        },
+        names: {
+          $push: '$name'
+        }
+      }
+    }, {
+      $sort: {
+        _id: 1
+      }
+    }];
+    collection.aggregate(pipeline, function(err, list) {
+      assert(!err, 'aggregate should success: ' + err);
+      list.forEach(function(item) {
+        item.names.sort();
+      });
+      assert.deepEqual(list, [{
+        _id: 'fruit',
+        total: 150,
+        count: 2,
+        avg: 75,
+        min: 50,
+        max: 100,
+        names: ['apple', 'banana']
+      }, {
+        _id: 'vegetable',
+        total: 120,
+        count: 1,
+        avg: 120,
+        min: 120,
+        max: 120,
+        names: ['daikon']
+      }]);
+      done();
+    });
+  });
+
+  it('$unwind and $addToSet', function(done) {
+    var pipeline = [{
+      $unwind: '$tags'
+    }, {
+      $group: {
+        _id: '$tags',
+        categories: {
+          $addToSet: '$category'
+        }
+      }
+    }, {
+      $sort: {
+        _id: 1
+      }
+    }];
+    collection.aggregate(pipeline, function(err, list) {
+      assert(!err, 'aggregate should success: ' + err);
+      list.forEach(function(item) {
+        item.categories.sort();
+      });
+      assert.deepEqual(list, [{
+        _id: 'red',
+        categories: ['fruit', 'vegetable']
+      }, {
+        _id: 'sweet',
+        categories: ['fruit']
+      }, {
+        _id: 'yellow',
+        categories: ['fruit']
+      }]);
+      done();
+    });
+  });
+
+  it('$project, $skip and $limit', function(done) {
+    var pipeline = [{
+      $sort: {
+        price: -1
+      }
+    }, {
+      $skip: 1
+    }, {
+      $limit: 2
+    }, {
+      $project: {
+        name: 1,
+        kind: '$category'
+      }
+    }];
+    collection.aggregate(pipeline, function(err, list) {
+      assert(!err, 'aggregate should success: ' + err);
+      assert.deepEqual(list, [{
+        name: 'apple',
+        kind: 'fruit'
+      }, {
+        name: 'banana',
+        kind: 'fruit'
+      }]);
+      done();
+    });
+  });
+
+  it('$count', function(done) {
+    var pipeline = [{
+      $match: {
+        category: 'vegetable'
+      }
+    }, {
+      $count: 'vegetables'
+    }];
+    collection.aggregate(pipeline, function(err, list) {
+      assert(!err, 'aggregate should success: ' + err);
+      assert.deepEqual(list, [{
+        vegetables: 2
+      }]);
+      done();
+    });
+  });
+
+  it('invalid stage', function(done) {
+    collection.aggregate([{
+      $unknown: {}
+    }], function(err) {
+      assert(err, 'aggregate should fail with an unknown stage');
+      assert(err.status == 400 || err.message == '400', 'invalid pipeline should be Bad Request');
+      done();
+    });
+  });
+}
@@ -0,0 +1,91 @@
+/*! distinct.test.js */
+
+var assert = require('chai').assert;
+var _KagoDB = require('../../index');
+var async = require('async');
+
+module.exports = function(KagoDB) {
+  describe('Distinct:', function() {
+    main_tests(KagoDB);
+  });
+};
+
+var MPE = module.parent && module.parent.exports || {};
+if (!MPE.DONT_RUN_TESTS_ON_REQUIRE) {
+  module.exports(_KagoDB);
+}
+
+function main_tests(KagoDB) {
+  var opts = {
+    storage: 'memory'
+  };
+  var collection = new KagoDB(opts);
+
+  var data = {
+    apple: {
+      category: 'fruit',
+      code: 1,
+      tags: ['red', 'sweet'],
+      origin: {
+        country: 'Japan'
+      }
+    },
+    banana: {
+      category: 'fruit',
+      code: '1',
+      tags: ['yellow', 'sweet'],
+      origin: {
+        country: 'Ecuador'
+      }
+    },
+    carrot: {
+      category: 'vegetable',
+      tags: ['red'],
+      origin: [{
+        country: 'Japan'
+      }, {
+        country: 'China'
+      }]
+    }
+  };
+
+  it('write()', function(done) {
+    async.eachSeries(Object.keys(data), function(id, next) {
+      collection.write(id, data[id], next);
+    }, done);
+  });
+
+  it('field', function(done) {
+    collection.distinct('category', function(err, list) {
+      assert(!err, 'distinct should success: ' + err);
+      assert.deepEqual(list.sort(), ['fruit', 'vegetable']);
+      done();
+    });
+  });
+
+  it('condition', function(done) {
+    collection.distinct('tags', {
+      category: 'fruit'
+    }, function(err, list) {
+      assert(!err, 'distinct should success: ' + err);
+      assert.deepEqual(list.sort(), ['red', 'sweet', 'yellow'], 'array elements should be values');
+      done();
+    });
+  });
+
+  it('dotted path', function(done) {
+    collection.distinct('origin.country', function(err, list) {
+      assert(!err, 'distinct should success: ' + err);
+      assert.deepEqual(list.sort(), ['China', 'Ecuador', 'Japan'], 'nested fields in arrays should be values');
+      done();
+    });
+  });
+
+  it('strict comparison', function(done) {
+    collection.distinct('code', function(err, list) {
+      assert(!err, 'distinct should success: ' + err);
+      assert.equal(list.length, 2, '"1" and 1 should be different');
+      done();
+    });
+  });
+}
@@ -0,0 +1,137 @@
+/*! csv.test.js */
+
+var assert = require('chai').assert;
+var fs = require('fs');
+var KagoDB = require('../../index');
+var crud_tests = require('../testlib/crud_tests');
+
+describe('CSV Storage:', function() {
+  var date = (new Date()).toJSON().replace(/\.\d+|\D/g, '');
+
+  describe('CRUD', function() {
+    var opts = {
+      storage: 'csv',
+      path: './data/crud-' + date + '.csv',
+      columns: {
+        decimal: 'number',
+        numeric: 'number'
+      }
+    };
+    var MyKago = KagoDB.inherit(opts);
+    crud_tests(MyKago);
+
+    it('cleanup', function(done) {
+      fs.unlink(opts.path, done);
+    });
+  });
+
+  describe('Typed columns', function() {
+    var opts = {
+      storage: 'csv',
+      path: './data/typed-' + date + '.csv',
+      primary_key: 'code',
+      columns: {
+        price: 'number',
+        stock: 'boolean',
+        released: 'date',
+        tags: 'json'
+      }
+    };
+    var lines = [
+      'code,name,price,stock,released,tags',
+      'A1,"Apple, red",120,yes,2013-01-02,"[""fruit""]"',
+      'B2,Banana,80,no,2013-03-04,[]',
+      'C3,"Cherry ""sweet""",300,TRUE,,',
+      ''
+    ];
+
+    it('find() with typed values', function(done) {
+      fs.writeFileSync(opts.path, lines.join('\r\n'));
+      var collection = new KagoDB(opts);
+      collection.find({
+        price: {
+          $gt: 100
+        }
+      }).sort({
+        price: 1
+      }).toArray(function(err, list) {
+        assert(!err, 'find should success: ' + err);
+        assert.equal(list.length, 2, 'find should compare numbers');
+        var apple = list[0];
+        assert.equal(apple.code, 'A1', 'primary key column should give ID');
+        assert.equal(apple.name, 'Apple, red', 'quoted field should be parsed');
+        assert.strictEqual(apple.stock, true, 'boolean column');
+        assert(apple.released instanceof Date, 'date column');
+        assert.deepEqual(apple.tags, ['fruit'], 'json column');
+        var cherry = list[1];
+        assert.equal(cherry.name, 'Cherry "sweet"', 'escaped quote should be parsed');
+        assert(!('released' in cherry), 'empty cell should not be defined');
+        done();
+      });
+    });
+
+    it('write()', function(done) {
+      var collection = new KagoDB(opts);
+      collection.write('D4', {
+        name: 'Durian\nking',
+        price: 500,
+        stock: false,
+        extra: 'x'
+      }, function(err) {
+        assert(!err, 'write should success: ' + err);
+        var content = fs.readFileSync(opts.path, 'utf8');
+        var rows = content.split('\n');
+        assert.equal(rows[0], 'code,price,stock,released,tags,name,extra', 'header should contain all fields');
+        assert(content.indexOf('D4,500,false,,,"Durian\nking",x\n') > -1, 'row should be written: ' + content);
+        done();
+      });
+    });
+
+    it('invalid value', function(done) {
+      var path = './data/invalid-' + date + '.csv';
+      fs.writeFileSync(path, 'code,price\nA1,cheap\n');
+      var collection = new KagoDB({
+        storage: 'csv',
+        path: path,
+        primary_key: 'code',
+        columns: opts.columns
+      });
+      collection.read('A1', function(err) {
+        assert(err, 'read should fail with an invalid number');
+        fs.unlink(path, done);
+      });
+    });
+
+    it('cleanup', function(done) {
+      fs.unlink(opts.path, done);
+    });
+  });
+
+  describe('TSV', function() {
+    var opts = {
+      storage: 'csv',
+      path: './data/tsv-' + date + '.tsv'
+    };
+
+    it('tab delimiter', function(done) {
+      fs.writeFileSync(opts.path, 'id\tname\nfoo\tFOO, Inc.\n');
+      var collection = new KagoDB(opts);
+      collection.read('foo', function(err, item) {
+        assert(!err, 'read should success: ' + err);
+        assert.equal(item.name, 'FOO, Inc.', 'comma should not be a delimiter');
+        collection.write('bar', {
+          name: 'BAR'
+        }, function(err) {
+          assert(!err, 'write should success: ' + err);
+          var content = fs.readFileSync(opts.path, 'utf8');
+          assert.equal(content, 'id\tname\nfoo\tFOO, Inc.\nbar\tBAR\n', 'TSV should be written');
+          done();
+        });
+      });
+    });
+
+    it('cleanup', function(done) {
+      fs.unlink(opts.path, done);
+    });
+  });
+});
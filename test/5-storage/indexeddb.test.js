@@ -0,0 +1,112 @@
+/*! indexeddb.test.js */
+
+var assert = require('chai').assert;
+var KagoDB = require('../../index');
+var crud_tests = require('../testlib/crud_tests');
+var indexeddb_shim = require('../testlib/indexeddb_shim');
+
+describe('IndexedDB Storage: (shim)', function() {
+  var factory = indexeddb_shim();
+
+  describe('CRUD without namespace', function() {
+    var MyKago = KagoDB.inherit({
+      storage: 'indexeddb',
+      indexeddb: factory
+    });
+    crud_tests(MyKago);
+  });
+
+  describe('CRUD with namespace', function() {
+    var MyKago = KagoDB.inherit({
+      storage: 'indexeddb',
+      indexeddb: factory,
+      namespace: 'test'
+    });
+    crud_tests(MyKago);
+  });
+
+  describe('Object stores', function() {
+    var opts1 = {
+      storage: 'indexeddb',
+      indexeddb: factory,
+      namespace: 'foo'
+    };
+    var opts2 = {
+      storage: 'indexeddb',
+      indexeddb: factory,
+      namespace: 'bar'
+    };
+
+    it('structured item', function(done) {
+      var collection = new KagoDB(opts1);
+      var date = new Date();
+      collection.write('item', {
+        date: date,
+        list: [1, 2]
+      }, function(err) {
+        assert(!err, 'write should success: ' + err);
+        collection.read('item', function(err, item) {
+          assert(!err, 'read should success: ' + err);
+          assert(item.date instanceof Date, 'Date should be kept');
+          assert.equal(item.date.getTime(), date.getTime(), 'Date should be same');
+          assert.deepEqual(item.list, [1, 2], 'Array should be kept');
+          done();
+        });
+      });
+    });
+
+    it('store per namespace', function(done) {
+      var collection = new KagoDB(opts2);
+      collection.write('other', {}, function(err) {
+        assert(!err, 'write should success: ' + err);
+        assert(factory.databases.KagoDB.stores.foo.item, 'foo store should have an item');
+        assert(factory.databases.KagoDB.stores.bar.other, 'bar store should have an item');
+        collection.index(function(err, list) {
+          assert(!err, 'index should success: ' + err);
+          assert.deepEqual(list, ['other'], 'index should list items in the store');
+          new KagoDB(opts1).index(function(err, list) {
+            assert(!err, 'index should success after upgrade: ' + err);
+            assert.deepEqual(list, ['item'], 'index should list items in the store');
+            done();
+          });
+        });
+      });
+    });
+
+    it('concurrent requests share a connection', function(done) {
+      var factory = indexeddb_shim();
+      var opens = 0;
+      var _open = factory.open;
+      factory.open = function() {
+        opens++;
+        return _open.apply(this, arguments);
+      };
+      var collection = new KagoDB({
+        storage: 'indexeddb',
+        indexeddb: factory
+      });
+      var count = 3;
+      for (var i = 0; i < count; i++) {
+        collection.exist('foo', next);
+      }
+
+      function next(err) {
+        assert(!err, 'exist should success: ' + err);
+        if (--count) return;
+        assert.equal(opens, 1, 'database should be opened once');
+        assert.equal(factory.databases.KagoDB.connections.length, 1, 'one connection should be kept');
+        done();
+      }
+    });
+
+    it('IndexedDB not available', function(done) {
+      var collection = new KagoDB({
+        storage: 'indexeddb'
+      });
+      collection.read('foo', function(err) {
+        assert(err, 'read should fail');
+        done();
+      });
+    });
+  });
+});
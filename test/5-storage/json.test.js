@@ -2,6 +2,8 @@
 
 var assert = require('chai').assert;
 var fs = require('fs');
+var crypto = require('crypto');
+var zlib = require('zlib');
 var KagoDB = require('../../index');
 var crud_tests = require('../testlib/crud_tests');
 
@@ -28,8 +30,633 @@ describe('JSON Storage:', function() {
     write_to_erase(collection, idA, pathA);
     write_to_erase(collection, idB, pathB);
   });
+
+  describe('Atomic write', function() {
+    var date = (new Date()).toJSON().replace(/\.\d+|\D/g, '');
+    var id = 'fsync-' + date;
+    var path = opts.path + '/' + id + '.json';
+    var collection = new KagoDB(opts);
+    collection.set('fsync', true);
+
+    it('fsync', function(done) {
+      collection.write(id, {
+        foo: 'bar'
+      }, function(err) {
+        assert(!err, 'write should success: ' + err);
+        var item = JSON.parse(fs.readFileSync(path, 'utf8'));
+        assert.equal(item.foo, 'bar', 'item should be written');
+        var temp = fs.readdirSync(opts.path).filter(function(name) {
+          return /\.tmp$/.test(name);
+        });
+        assert(!temp.length, 'temporary file should be renamed');
+        collection.erase(id, done);
+      });
+    });
+  });
+
+  describe('Recovery', function() {
+    var date = (new Date()).toJSON().replace(/\.\d+|\D/g, '');
+    var folder = opts.path + '/recover-' + date;
+    var quarantine = folder + '/.quarantine';
+    var collection = new KagoDB({
+      storage: 'json',
+      path: folder,
+      auto_recover: true
+    });
+    var warned = 0;
+    collection.on('warn', function() {
+      warned++;
+    });
+
+    it('prepare', function(done) {
+      fs.mkdirSync(folder);
+      fs.writeFileSync(folder + '/good.json', '{"foo":"bar"}');
+      fs.writeFileSync(folder + '/broken.json', '{"foo":');
+      fs.writeFileSync(folder + '/good.json.123-1.tmp', '{"foo":');
+      var past = new Date(Date.now() - 3600 * 1000);
+      fs.utimesSync(folder + '/good.json.123-1.tmp', past, past);
+      done();
+    });
+
+    it('index() with auto_recover', function(done) {
+      collection.index(function(err, list) {
+        assert(!err, 'index should success: ' + err);
+        assert.deepEqual(list, ['good'], 'index should not contain broken item');
+        assert.equal(warned, 2, 'quarantine should be warned');
+        var moved = fs.readdirSync(quarantine).sort();
+        assert.deepEqual(moved, ['broken.json', 'good.json.123-1.tmp'], 'files should be quarantined');
+        collection.find().toArray(function(err, list) {
+          assert(!err, 'find should success after recovery: ' + err);
+          assert.equal(list.length, 1, 'find should return good item');
+          done();
+        });
+      });
+    });
+
+    it('cleanup', function(done) {
+      fs.unlinkSync(quarantine + '/broken.json');
+      fs.unlinkSync(quarantine + '/good.json.123-1.tmp');
+      fs.rmdirSync(quarantine);
+      fs.unlinkSync(folder + '/good.json');
+      fs.rmdirSync(folder);
+      done();
+    });
+  });
+
+  describe('Sharding', function() {
+    var date = (new Date()).toJSON().replace(/\.\d+|\D/g, '');
+    var folder = opts.path + '/shard-' + date;
+    var hash = crypto.createHash('md5').update('foo').digest('hex');
+    var sharded = folder + '/' + hash.substr(0, 2) + '/' + hash.substr(2, 2) + '/foo.json';
+    var collection = new KagoDB({
+      storage: 'json',
+      path: folder,
+      shard: 2
+    });
+
+    it('write into nested directories', function(done) {
+      fs.mkdirSync(folder);
+      collection.write('foo', {
+        name: 'FOO'
+      }, function(err) {
+        assert(!err, 'write should success: ' + err);
+        assert(fs.existsSync(sharded), 'item should be written at ' + sharded);
+        collection.index(function(err, list) {
+          assert(!err, 'index should success: ' + err);
+          assert.deepEqual(list, ['foo'], 'index should walk directories');
+          collection.exist('foo', function(err, exist) {
+            assert(exist, 'item should exist');
+            collection.erase('foo', function(err) {
+              assert(!err, 'erase should success: ' + err);
+              assert(!fs.existsSync(sharded), 'item should be erased');
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('shard_by id', function(done) {
+      var collection = new KagoDB({
+        storage: 'json',
+        path: folder,
+        shard: 2,
+        shard_by: 'id'
+      });
+      collection.write('bar', {}, function(err) {
+        assert(!err, 'write should success: ' + err);
+        assert(fs.existsSync(folder + '/ba/r_/bar.json'), 'item should be written under ID prefix');
+        collection.erase('bar', done);
+      });
+    });
+
+    it('reshard() from flat directory', function(done) {
+      fs.writeFileSync(folder + '/foo.json', '{"name":"FOO"}');
+      fs.writeFileSync(folder + '/bar.json', '{"name":"BAR"}');
+      collection.index(function(err, list) {
+        assert(!err, 'index should success: ' + err);
+        assert.equal(list.length, 0, 'index should ignore flat files');
+        collection.reshard(function(err, count) {
+          assert(!err, 'reshard should success: ' + err);
+          assert.equal(count, 2, 'reshard should move files');
+          assert(fs.existsSync(sharded), 'item should be moved to ' + sharded);
+          collection.find().toArray(function(err, list) {
+            assert(!err, 'find should success: ' + err);
+            assert.equal(list.length, 2, 'find should return items moved');
+            done();
+          });
+        });
+      });
+    });
+
+    it('cleanup', function(done) {
+      rmdir_r(folder);
+      done();
+    });
+  });
+
+  describe('Locking', function() {
+    var date = (new Date()).toJSON().replace(/\.\d+|\D/g, '');
+    var folder = opts.path + '/lock-' + date;
+    var MyKago = KagoDB.inherit({
+      storage: 'json',
+      path: folder,
+      primary_key: '_id',
+      lock: true,
+      lock_timeout: 100
+    });
+    var collection = new MyKago();
+
+    it('item lock timeout', function(done) {
+      fs.mkdirSync(folder);
+      fs.writeFileSync(folder + '/foo.json.lock', '0');
+      collection.write('foo', {}, function(err) {
+        assert(err, 'write should fail while locked');
+        assert(!fs.existsSync(folder + '/foo.json'), 'item should not be written');
+        done();
+      });
+    });
+
+    it('stale item lock', function(done) {
+      var past = new Date(Date.now() - 3600 * 1000);
+      fs.utimesSync(folder + '/foo.json.lock', past, past);
+      collection.write('foo', {
+        count: 0
+      }, function(err) {
+        assert(!err, 'write should success after stale lock removed: ' + err);
+        assert(!fs.existsSync(folder + '/foo.json.lock'), 'lock should be released');
+        done();
+      });
+    });
+
+    it('collection lock', function(done) {
+      fs.writeFileSync(folder + '/.lock', '0');
+      collection.erase('foo', function(err) {
+        assert(err, 'erase should fail while collection locked');
+        fs.unlinkSync(folder + '/.lock');
+        done();
+      });
+    });
+
+    it('job throws', function(done) {
+      collection.lock('bar', function() {
+        throw new Error('job failed');
+      }, function(err) {
+        assert(err, 'error thrown should be given');
+        assert(!fs.existsSync(folder + '/bar.json.lock'), 'lock should be released');
+        done();
+      });
+    });
+
+    it('long job keeps lock', function(done) {
+      var holder = new MyKago({
+        lock_stale: 60,
+        lock_timeout: 1000
+      });
+      var other = new MyKago({
+        lock_stale: 60,
+        lock_timeout: 200
+      });
+      holder.lock('bar', function(release) {
+        setTimeout(function() {
+          other.lock('bar', function(next) {
+            next();
+          }, function(err) {
+            assert(err, 'other writer should time out while job runs');
+            release();
+          });
+        }, 100);
+      }, function(err) {
+        assert(!err, 'lock should success: ' + err);
+        assert(!fs.existsSync(folder + '/bar.json.lock'), 'lock should be released');
+        done();
+      });
+    });
+
+    it('same process waits for collection lock', function(done) {
+      var other = new MyKago({
+        lock_timeout: 5000
+      });
+      var events = [];
+      collection.lock(null, function(release) {
+        var locked = this;
+        locked.read('foo', function(err, item) {
+          assert(!err, 'read should success: ' + err);
+          other.write('foo', {
+            count: 0
+          }, function(err) {
+            assert(!err, 'write should success after the lock released: ' + err);
+            events.push('other');
+            collection.read('foo', function(err, item) {
+              assert(!err, 'read should success: ' + err);
+              assert.deepEqual(events, ['job', 'other'], 'other write should wait for the lock');
+              assert.equal(item.count, 0, 'other write should be applied at last');
+              done();
+            });
+          });
+          setTimeout(function() {
+            item.count = 1;
+            locked.write('foo', item, function(err) {
+              assert(!err, 'write in the job should not wait: ' + err);
+              events.push('job');
+              release();
+            });
+          }, 50);
+        });
+      });
+    });
+
+    it('job never calls done', function(done) {
+      var holder = new MyKago({
+        lock_stale: 60,
+        lock_timeout: 100
+      });
+      var warned;
+      holder.on('warn', function(message) {
+        if (/too long/.test(message)) warned = true;
+      });
+      holder.lock('baz', function() {
+        // never release
+      });
+      new MyKago({
+        lock_stale: 60,
+        lock_timeout: 1000
+      }).lock('baz', function(next) {
+        next();
+      }, function(err) {
+        assert(!err, 'lock should be taken after the holder gave up: ' + err);
+        assert(warned, 'holder should warn');
+        done();
+      });
+    });
+
+    it('update() with collection lock', function(done) {
+      var update = {
+        $inc: {
+          count: 1
+        }
+      };
+      var count = 5;
+      var rest = count;
+      for (var i = 0; i < count; i++) {
+        new MyKago({
+          lock_timeout: 5000
+        }).update({
+          _id: 'foo'
+        }, update, after_update);
+      }
+
+      function after_update(err) {
+        assert(!err, 'update should success: ' + err);
+        if (--rest) return;
+        assert(!fs.existsSync(folder + '/.lock'), 'collection lock should be released');
+        collection.read('foo', function(err, item) {
+          assert(!err, 'read should success: ' + err);
+          assert.equal(item.count, count, 'no update should be lost');
+          done();
+        });
+      }
+    });
+
+    it('cleanup', function(done) {
+      rmdir_r(folder);
+      done();
+    });
+  });
+
+  describe('Compression', function() {
+    var date = (new Date()).toJSON().replace(/\.\d+|\D/g, '');
+    var folder = opts.path + '/compress-' + date;
+    var collection = new KagoDB({
+      storage: 'json',
+      path: folder,
+      compress: 'gzip'
+    });
+
+    it('gzip', function(done) {
+      fs.mkdirSync(folder);
+      collection.write('foo', {
+        name: 'FOO'
+      }, function(err) {
+        assert(!err, 'write should success: ' + err);
+        var path = folder + '/foo.json.gz';
+        assert(fs.existsSync(path), 'item should be written at ' + path);
+        var json = zlib.gunzipSync(fs.readFileSync(path)).toString();
+        assert.equal(JSON.parse(json).name, 'FOO', 'file should be gzipped JSON');
+        collection.read('foo', function(err, item) {
+          assert(!err, 'read should success: ' + err);
+          assert.equal(item.name, 'FOO', 'read should decompress item');
+          done();
+        });
+      });
+    });
+
+    it('brotli', function(done) {
+      var collection = new KagoDB({
+        storage: 'json',
+        path: folder,
+        compress: 'brotli'
+      });
+      collection.write('bar', {
+        name: 'BAR'
+      }, function(err) {
+        assert(!err, 'write should success: ' + err);
+        var path = folder + '/bar.json.br';
+        assert(fs.existsSync(path), 'item should be written at ' + path);
+        var json = zlib.brotliDecompressSync(fs.readFileSync(path)).toString();
+        assert.equal(JSON.parse(json).name, 'BAR', 'file should be brotli compressed JSON');
+        done();
+      });
+    });
+
+    it('mixed folder', function(done) {
+      fs.writeFileSync(folder + '/baz.json', '{"name":"BAZ"}');
+      fs.writeFileSync(folder + '/foo.json', '{"name":"OLD"}');
+      collection.index(function(err, list) {
+        assert(!err, 'index should success: ' + err);
+        assert.deepEqual(list.sort(), ['bar', 'baz', 'foo'], 'index should not contain duplicates');
+        collection.find().sort({
+          name: 1
+        }).toArray(function(err, list) {
+          assert(!err, 'find should success: ' + err);
+          var names = list.map(function(item) {
+            return item.name;
+          });
+          assert.deepEqual(names, ['BAR', 'BAZ', 'FOO'], 'compressed and plain files should be readable');
+          collection.write('baz', {
+            name: 'BAZ2'
+          }, function(err) {
+            assert(!err, 'write should success: ' + err);
+            assert(!fs.existsSync(folder + '/baz.json'), 'plain file should be replaced');
+            collection.erase('foo', function(err) {
+              assert(!err, 'erase should success: ' + err);
+              assert(!fs.existsSync(folder + '/foo.json'), 'plain file should be erased');
+              assert(!fs.existsSync(folder + '/foo.json.gz'), 'compressed file should be erased');
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('compressed files without compress option', function(done) {
+      var collection = new KagoDB({
+        storage: 'json',
+        path: folder
+      });
+      fs.writeFileSync(folder + '/qux.json', '{"name":"QUX"}');
+      collection.index(function(err, list) {
+        assert(!err, 'index should success: ' + err);
+        assert.deepEqual(list, ['qux'], 'compressed files should not be listed');
+        collection.find().toArray(function(err, list) {
+          assert(!err, 'find should success: ' + err);
+          assert.equal(list.length, 1, 'only plain file should be found');
+          assert.equal(list[0].name, 'QUX', 'plain file should be read');
+          done();
+        });
+      });
+    });
+
+    it('cleanup', function(done) {
+      rmdir_r(folder);
+      done();
+    });
+  });
+
+  describe('Streaming index', function() {
+    var date = (new Date()).toJSON().replace(/\.\d+|\D/g, '');
+    var folder = opts.path + '/stream-' + date;
+    var collection = new KagoDB({
+      storage: 'json',
+      path: folder,
+      index_batch: 5
+    });
+    var batches = 0;
+    var _index_reader = collection.index_reader;
+    collection.index_reader = function() {
+      var reader = _index_reader.call(this);
+      var _next = reader.next;
+      reader.next = function(callback) {
+        batches++;
+        _next.call(reader, callback);
+      };
+      return reader;
+    };
+    collection.index = function() {
+      throw new Error('index() should not be called');
+    };
+
+    it('prepare', function(done) {
+      fs.mkdirSync(folder);
+      for (var i = 0; i < 20; i++) {
+        fs.writeFileSync(folder + '/item' + i + '.json', '{"num":' + i + '}');
+      }
+      fs.writeFileSync(folder + '/item0.json.gz', zlib.gzipSync('{"num":0}'));
+      done();
+    });
+
+    it('find().limit() reads the first batch only', function(done) {
+      collection.find().limit(3).toArray(function(err, list) {
+        assert(!err, 'find should success: ' + err);
+        assert.equal(list.length, 3, 'find should return 3 items');
+        assert.equal(batches, 1, 'find should read a batch');
+        done();
+      });
+    });
+
+    it('find() reads all batches', function(done) {
+      batches = 0;
+      collection.find({
+        num: {
+          $gte: 10
+        }
+      }).toArray(function(err, list) {
+        assert(!err, 'find should success: ' + err);
+        assert.equal(list.length, 10, 'find should return items matched');
+        assert.equal(batches, 5, 'find should read 4 batches and the end');
+        done();
+      });
+    });
+
+    it('find() lists an item once', function(done) {
+      var _opendir = fs.opendir;
+      fs.opendir = function(path, callback) {
+        _opendir.call(fs, path, function(err, dir) {
+          if (err) return callback(err);
+          // a file renamed during the scan is listed twice
+          var _read = dir.read;
+          var twice;
+          dir.read = function(cb) {
+            if (twice) {
+              var dirent = twice;
+              twice = null;
+              return cb(null, dirent);
+            }
+            _read.call(dir, function(err, dirent) {
+              if (dirent && dirent.name === 'item5.json') twice = dirent;
+              cb(err, dirent);
+            });
+          };
+          callback(null, dir);
+        });
+      };
+      collection.find().toArray(function(err, list) {
+        fs.opendir = _opendir;
+        assert(!err, 'find should success: ' + err);
+        assert.equal(list.length, 20, 'find should not return duplicates');
+        done();
+      });
+    });
+
+    it('sharded folder', function(done) {
+      var collection = new KagoDB({
+        storage: 'json',
+        path: folder,
+        shard: 1,
+        index_batch: 3
+      });
+      collection.reshard(function(err) {
+        assert(!err, 'reshard should success: ' + err);
+        var reader = collection.index_reader();
+        reader.next(function(err, list) {
+          assert(!err, 'next should success: ' + err);
+          assert.equal(list.length, 3, 'reader should return a batch');
+          reader.close();
+          collection.find().toArray(function(err, list) {
+            assert(!err, 'find should success: ' + err);
+            assert.equal(list.length, 20, 'find should walk shard directories');
+            done();
+          });
+        });
+      });
+    });
+
+    it('cleanup', function(done) {
+      rmdir_r(folder);
+      done();
+    });
+  });
+
+  describe('Attachments', function() {
+    var date = (new Date()).toJSON().replace(/\.\d+|\D/g, '');
+    var folder = opts.path + '/attachment-' + date;
+    var sidecar = folder + '/foo.json.attachments';
+    var collection = new KagoDB({
+      storage: 'json',
+      path: folder
+    });
+
+    it('putAttachment()', function(done) {
+      fs.mkdirSync(folder);
+      collection.write('foo', {
+        name: 'FOO'
+      }, function(err) {
+        assert(!err, 'write should success: ' + err);
+        collection.putAttachment('foo', 'a/b.txt', Buffer.from('hello'), function(err) {
+          assert(!err, 'putAttachment should success: ' + err);
+          assert(fs.existsSync(sidecar + '/a%2Fb.txt'), 'attachment should be in the sidecar directory');
+          collection.putAttachment('foo', 'test.js', fs.createReadStream(__filename), function(err) {
+            assert(!err, 'putAttachment should success with stream: ' + err);
+            collection.putAttachment('foo', '..', Buffer.from('x'), function(err) {
+              assert(err, 'putAttachment should fail with invalid name');
+              collection.index(function(err, list) {
+                assert(!err, 'index should success: ' + err);
+                assert.deepEqual(list, ['foo'], 'index should ignore the sidecar directory');
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('getAttachment() and listAttachments()', function(done) {
+      collection.getAttachment('foo', 'a/b.txt', function(err, buffer) {
+        assert(!err, 'getAttachment should success: ' + err);
+        assert.equal(buffer.toString(), 'hello', 'getAttachment should return content');
+        collection.getAttachment('foo', 'test.js', {
+          stream: true
+        }, function(err, stream) {
+          assert(!err, 'getAttachment should success: ' + err);
+          assert.equal('function', typeof stream.pipe, 'getAttachment should return a stream');
+          stream.resume();
+          collection.listAttachments('foo', function(err, list) {
+            assert(!err, 'listAttachments should success: ' + err);
+            assert.deepEqual(list, ['a/b.txt', 'test.js'], 'listAttachments should return names');
+            done();
+          });
+        });
+      });
+    });
+
+    it('removeAttachment()', function(done) {
+      collection.removeAttachment('foo', 'a/b.txt', function(err) {
+        assert(!err, 'removeAttachment should success: ' + err);
+        collection.getAttachment('foo', 'a/b.txt', function(err) {
+          assert(err, 'getAttachment should fail after removed');
+          done();
+        });
+      });
+    });
+
+    it('reshard() moves attachments', function(done) {
+      var collection = new KagoDB({
+        storage: 'json',
+        path: folder,
+        shard: 1,
+        shard_by: 'id'
+      });
+      collection.reshard(function(err, count) {
+        assert(!err, 'reshard should success: ' + err);
+        assert.equal(count, 2, 'reshard should move the item and its attachments');
+        assert(fs.existsSync(folder + '/fo/foo.json.attachments/test.js'), 'attachments should be moved');
+        collection.erase('foo', function(err) {
+          assert(!err, 'erase should success: ' + err);
+          assert(!fs.existsSync(folder + '/fo/foo.json.attachments'), 'erase should remove attachments');
+          done();
+        });
+      });
+    });
+
+    it('cleanup', function(done) {
+      rmdir_r(folder);
+      done();
+    });
+  });
 });
 
+function rmdir_r(path) {
+  fs.readdirSync(path).forEach(function(name) {
+    var child = path + '/' + name;
+    if (fs.statSync(child).isDirectory()) {
+      rmdir_r(child);
+    } else {
+      fs.unlinkSync(child);
+    }
+  });
+  fs.rmdirSync(path);
+}
+
 function write_to_erase(collection, id, path) {
   var item = {
     string: "FOO",
@@ -0,0 +1,141 @@
+/*! json_file.test.js */
+
+var assert = require('chai').assert;
+var fs = require('fs');
+var KagoDB = require('../../index');
+var crud_tests = require('../testlib/crud_tests');
+
+describe('JSON File Storage:', function() {
+  var date = (new Date()).toJSON().replace(/\.\d+|\D/g, '');
+
+  describe('CRUD', function() {
+    var opts = {
+      storage: 'json_file',
+      path: './data/crud-' + date + '.json',
+      json_spaces: ' '
+    };
+    var MyKago = KagoDB.inherit(opts);
+    crud_tests(MyKago);
+
+    it('cleanup', function(done) {
+      fs.unlink(opts.path, done);
+    });
+  });
+
+  describe('Single document', function() {
+    var opts = {
+      storage: 'json_file',
+      path: './data/doc-' + date + '.json',
+      json_spaces: 2
+    };
+    var collection = new KagoDB(opts);
+
+    it('batched writes', function(done) {
+      var flushed = 0;
+      var written = 0;
+      collection.on('flush', function() {
+        flushed++;
+      });
+      collection.write('foo', {
+        name: 'FOO'
+      }, after_write);
+      collection.write('bar', {
+        name: 'BAR'
+      }, after_write);
+      collection.write('baz', {
+        name: 'BAZ'
+      }, after_write);
+
+      function after_write(err) {
+        assert(!err, 'write should success: ' + err);
+        if (++written < 3) return;
+        assert.equal(flushed, 1, 'writes should be flushed at once');
+        var content = fs.readFileSync(opts.path, 'utf8');
+        var doc = JSON.parse(content);
+        assert.deepEqual(Object.keys(doc), ['foo', 'bar', 'baz'], 'document should be keyed by ID');
+        assert.equal(doc.bar.name, 'BAR', 'document should contain items');
+        assert(content.indexOf('\n  "foo": {') > -1, 'json_spaces should be applied');
+        done();
+      }
+    });
+
+    it('erase', function(done) {
+      collection.erase('bar', function(err) {
+        assert(!err, 'erase should success: ' + err);
+        var doc = JSON.parse(fs.readFileSync(opts.path, 'utf8'));
+        assert.deepEqual(Object.keys(doc), ['foo', 'baz'], 'erased item should be removed');
+        var temp = fs.readdirSync('./data').filter(function(name) {
+          return /\.tmp$/.test(name);
+        });
+        assert(!temp.length, 'temporary file should be renamed');
+        done();
+      });
+    });
+
+    it('value preservation', function(done) {
+      collection.read('foo', function(err, item) {
+        assert(!err, 'read should success: ' + err);
+        item.name = 'BUZ';
+        collection.read('foo', function(err, item) {
+          assert(!err, 'read should success: ' + err);
+          assert.equal(item.name, 'FOO', 'stored value should be not changed');
+          done();
+        });
+      });
+    });
+
+    it('special IDs', function(done) {
+      collection.write('__proto__', {
+        name: 'PROTO'
+      }, function(err) {
+        assert(!err, 'write should success: ' + err);
+        collection.write('hasOwnProperty', {
+          name: 'HOP'
+        }, function(err) {
+          assert(!err, 'write should success: ' + err);
+          collection.index(function(err, list) {
+            assert(!err, 'index should success: ' + err);
+            assert.deepEqual(list.sort(), ['__proto__', 'baz', 'foo', 'hasOwnProperty'], 'index should contain special IDs');
+            var doc = JSON.parse(fs.readFileSync(opts.path, 'utf8'));
+            assert(Object.prototype.hasOwnProperty.call(doc, '__proto__'), 'item should be saved');
+            assert.equal(doc.__proto__.name, 'PROTO', 'item should be saved');
+            collection.read('__proto__', function(err, item) {
+              assert(!err, 'read should success: ' + err);
+              assert.equal(item.name, 'PROTO', 'read should return the item');
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('cleanup', function(done) {
+      fs.unlink(opts.path, done);
+    });
+  });
+
+  describe('Failed save', function() {
+    var opts = {
+      storage: 'json_file',
+      path: './data/missing-' + date + '/doc.json'
+    };
+    var collection = new KagoDB(opts);
+
+    it('changes discarded', function(done) {
+      collection.write('foo', {
+        name: 'FOO'
+      }, function(err) {
+        assert(err, 'write should fail without the folder');
+        collection.exist('foo', function(err, exist) {
+          assert(!err, 'exist should success: ' + err);
+          assert(!exist, 'item should not remain on memory');
+          collection.index(function(err, list) {
+            assert(!err, 'index should success: ' + err);
+            assert.deepEqual(list, [], 'index should be empty');
+            done();
+          });
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,205 @@
+/*! jsonl.test.js */
+
+var assert = require('chai').assert;
+var fs = require('fs');
+var KagoDB = require('../../index');
+var crud_tests = require('../testlib/crud_tests');
+
+describe('JSON Lines Storage:', function() {
+  var date = (new Date()).toJSON().replace(/\.\d+|\D/g, '');
+
+  describe('CRUD', function() {
+    var opts = {
+      storage: 'jsonl',
+      path: './data/crud-' + date + '.jsonl'
+    };
+    var MyKago = KagoDB.inherit(opts);
+    crud_tests(MyKago);
+
+    it('cleanup', function(done) {
+      fs.unlink(opts.path, done);
+    });
+  });
+
+  describe('Append-only log', function() {
+    var opts = {
+      storage: 'jsonl',
+      path: './data/log-' + date + '.jsonl',
+      compact_threshold: 0
+    };
+    var collection = new KagoDB(opts);
+
+    it('write and erase append records', function(done) {
+      collection.write('foo', {
+        name: 'FOO'
+      }, function(err) {
+        assert(!err, 'write should success: ' + err);
+        collection.write('foo', {
+          name: 'FOO2'
+        }, function(err) {
+          assert(!err, 'rewrite should success: ' + err);
+          collection.write('bar', {
+            name: 'BAR'
+          }, function(err) {
+            assert(!err, 'write should success: ' + err);
+            collection.erase('bar', function(err) {
+              assert(!err, 'erase should success: ' + err);
+              assert.equal(count_lines(opts.path), 4, 'log should have four records');
+              collection.read('foo', function(err, item) {
+                assert(!err, 'read should success: ' + err);
+                assert.equal(item.name, 'FOO2', 'read should return the latest record');
+                collection.index(function(err, list) {
+                  assert(!err, 'index should success: ' + err);
+                  assert.deepEqual(list, ['foo'], 'index should not contain erased item');
+                  done();
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('compact()', function(done) {
+      collection.compact(function(err) {
+        assert(!err, 'compact should success: ' + err);
+        assert.equal(count_lines(opts.path), 1, 'log should have one record');
+        collection.read('foo', function(err, item) {
+          assert(!err, 'read should success after compact: ' + err);
+          assert.equal(item.name, 'FOO2', 'read should return the same item after compact');
+          done();
+        });
+      });
+    });
+
+    it('cleanup', function(done) {
+      fs.unlink(opts.path, done);
+    });
+  });
+
+  describe('Auto compaction', function() {
+    var opts = {
+      storage: 'jsonl',
+      path: './data/auto-' + date + '.jsonl',
+      compact_threshold: 2
+    };
+    var collection = new KagoDB(opts);
+
+    it('compact_threshold', function(done) {
+      var compacted = 0;
+      collection.on('compact', function() {
+        compacted++;
+      });
+      collection.write('foo', {}, function(err) {
+        assert(!err, 'write should success: ' + err);
+        collection.write('foo', {}, function(err) {
+          assert(!err, 'write should success: ' + err);
+          collection.write('foo', {}, function(err) {
+            assert(!err, 'write should success: ' + err);
+            collection.index(function(err, list) {
+              assert(!err, 'index should success: ' + err);
+              assert.equal(compacted, 1, 'compact should run once');
+              assert.equal(count_lines(opts.path), 1, 'log should be compacted');
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('cleanup', function(done) {
+      fs.unlink(opts.path, done);
+    });
+  });
+
+  describe('Load existing log', function() {
+    var opts = {
+      storage: 'jsonl',
+      path: './data/load-' + date + '.jsonl'
+    };
+    var lines = [
+      '{"id":"foo","item":{"name":"FOO"}}',
+      '{"id":"bar","item":{"name":"BAR"}}',
+      '{"id":"foo","erase":true}',
+      '{"id":"baz","item":{"name":"B' // truncated
+    ];
+
+    it('offset map', function(done) {
+      fs.writeFileSync(opts.path, lines.join('\n'));
+      var collection = new KagoDB(opts);
+      collection.index(function(err, list) {
+        assert(!err, 'index should success: ' + err);
+        assert.deepEqual(list, ['bar'], 'index should contain live items only');
+        collection.write('qux', {
+          name: 'QUX'
+        }, function(err) {
+          assert(!err, 'write should success after a truncated line: ' + err);
+          collection.read('qux', function(err, item) {
+            assert(!err, 'read should success: ' + err);
+            assert.equal(item.name, 'QUX', 'read should return the appended item');
+            collection.read('bar', function(err, item) {
+              assert(!err, 'read should success: ' + err);
+              assert.equal(item.name, 'BAR', 'read should return the loaded item');
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('appended by another process', function(done) {
+      var collection = new KagoDB(opts);
+      collection.index(function(err) {
+        assert(!err, 'index should success: ' + err);
+        fs.appendFileSync(opts.path, '{"id":"quux","item":{"name":"QUUX"}}\n{"id":"bar","erase":true}\n');
+        collection.index(function(err, list) {
+          assert(!err, 'index should success: ' + err);
+          assert.deepEqual(list.sort(), ['quux', 'qux'], 'index should reflect records appended');
+          collection.read('quux', function(err, item) {
+            assert(!err, 'read should success: ' + err);
+            assert.equal(item.name, 'QUUX', 'read should return the appended item');
+            done();
+          });
+        });
+      });
+    });
+
+    it('special IDs', function(done) {
+      var collection = new KagoDB(opts);
+      collection.write('hasOwnProperty', {
+        name: 'HOP'
+      }, function(err) {
+        assert(!err, 'write should success: ' + err);
+        collection.write('__proto__', {
+          name: 'PROTO'
+        }, function(err) {
+          assert(!err, 'write should success: ' + err);
+          collection.exist('foo', function(err, exist) {
+            assert(!err, 'exist should success: ' + err);
+            assert(!exist, 'foo should not exist');
+            collection.index(function(err, list) {
+              assert(!err, 'index should success: ' + err);
+              assert.deepEqual(list.sort(), ['__proto__', 'hasOwnProperty', 'quux', 'qux'], 'index should contain special IDs');
+              collection.read('__proto__', function(err, item) {
+                assert(!err, 'read should success: ' + err);
+                assert.equal(item.name, 'PROTO', 'read should return the item');
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('cleanup', function(done) {
+      fs.unlink(opts.path, done);
+    });
+  });
+});
+
+function count_lines(path) {
+  var content = fs.readFileSync(path, 'utf8');
+  return content.split('\n').filter(function(line) {
+    return line.length;
+  }).length;
+}
@@ -48,6 +48,107 @@ describe('Local Storage: (emulation)', function() {
     write_to_erase(collection2, idA, path2A);
     write_to_erase(collection2, idB, path2B);
   });
+
+  describe('Keys colliding with Storage interface', function() {
+    var collection = new KagoDB(opts1);
+    var ids = ['length', 'key', 'getItem', 'setItem', '__proto__'];
+
+    it('write and read', function(done) {
+      var rest = ids.length;
+      ids.forEach(function(id) {
+        collection.write(id, {
+          name: id
+        }, function(err) {
+          assert(!err, 'write should success: ' + err);
+          if (--rest) return;
+          collection.index(function(err, list) {
+            assert(!err, 'index should success: ' + err);
+            ids.forEach(function(id) {
+              assert(list.indexOf(id) > -1, 'index should contain ' + id);
+            });
+            collection.read('length', function(err, item) {
+              assert(!err, 'read should success: ' + err);
+              assert.equal(item.name, 'length', 'read should return the item');
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('erase', function(done) {
+      var rest = ids.length;
+      ids.forEach(function(id) {
+        collection.erase(id, function(err) {
+          assert(!err, 'erase should success: ' + err);
+          if (--rest) return;
+          collection.exist('length', function(err, exist) {
+            assert(!exist, 'item should not exist');
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('Session Storage', function() {
+    var MyKago = KagoDB.inherit({
+      storage: 'session_storage',
+      namespace: 'session'
+    });
+    crud_tests(MyKago);
+
+    it('separated from localStorage', function(done) {
+      var session = new MyKago();
+      session.write('foo', {}, function(err) {
+        assert(!err, 'write should success: ' + err);
+        var local = new KagoDB({
+          storage: 'local_storage',
+          namespace: 'session'
+        });
+        local.exist('foo', function(err, exist) {
+          assert(!exist, 'item should not exist on localStorage');
+          session.erase('foo', done);
+        });
+      });
+    });
+  });
+
+  describe('Custom Storage object', function() {
+    var calls = [];
+    var data = {};
+    var storage = {
+      getItem: function(key) {
+        calls.push('getItem');
+        return data.hasOwnProperty(key) ? data[key] : null;
+      },
+      setItem: function(key, value) {
+        calls.push('setItem');
+        data[key] = value;
+      },
+      removeItem: function(key) {
+        calls.push('removeItem');
+        delete data[key];
+      },
+      key: function(index) {
+        return Object.keys(data)[index];
+      },
+      get length() {
+        return Object.keys(data).length;
+      }
+    };
+    var MyKago = KagoDB.inherit({
+      storage: 'local_storage',
+      local_storage: storage
+    });
+    crud_tests(MyKago);
+
+    it('Storage interface', function() {
+      assert(calls.indexOf('getItem') > -1, 'getItem should be called');
+      assert(calls.indexOf('setItem') > -1, 'setItem should be called');
+      assert(calls.indexOf('removeItem') > -1, 'removeItem should be called');
+    });
+  });
 });
 
 function write_to_erase(collection, id, path) {
@@ -81,5 +182,5 @@ function write_to_erase(collection, id, path) {
 }
 
 function check_exists(path, callback) {
-  callback(null, !! localStorage[path]);
+  callback(null, localStorage.getItem(path) !== null);
 }
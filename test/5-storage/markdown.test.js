@@ -0,0 +1,101 @@
+/*! markdown.test.js */
+
+var assert = require('chai').assert;
+var fs = require('fs');
+var KagoDB = require('../../index');
+var crud_tests = require('../testlib/crud_tests');
+
+describe('Markdown Storage:', function() {
+  var opts = {
+    storage: 'markdown',
+    path: './data'
+  };
+
+  describe('CRUD', function() {
+    var MyKago = KagoDB.inherit(opts);
+    crud_tests(MyKago);
+  });
+
+  describe('Front matter', function() {
+    var date = (new Date()).toJSON().replace(/\.\d+|\D/g, '');
+    var folder = opts.path + '/markdown-' + date;
+    var collection = new KagoDB({
+      storage: 'markdown',
+      path: folder,
+      body_field: 'content'
+    });
+
+    it('read', function(done) {
+      fs.mkdirSync(folder);
+      fs.writeFileSync(folder + '/intro.md', '---\ntitle: Intro\norder: 2\n---\n# Intro\n\nHello\n');
+      fs.writeFileSync(folder + '/usage.md', '---\ntitle: Usage\norder: 1\n---\n# Usage\n');
+      fs.writeFileSync(folder + '/plain.md', '# Plain\n');
+      collection.read('intro', function(err, item) {
+        assert(!err, 'read should success: ' + err);
+        assert.equal(item.title, 'Intro', 'front matter should be parsed');
+        assert.strictEqual(item.order, 2, 'front matter should be typed');
+        assert.equal(item.content, '# Intro\n\nHello\n', 'body should be stored in body_field');
+        collection.read('plain', function(err, item) {
+          assert(!err, 'read should success without front matter: ' + err);
+          assert.equal(item.content, '# Plain\n', 'whole file should be body');
+          done();
+        });
+      });
+    });
+
+    it('find().sort()', function(done) {
+      collection.find({
+        order: {
+          $gt: 0
+        }
+      }).sort({
+        order: 1
+      }).toArray(function(err, list) {
+        assert(!err, 'find should success: ' + err);
+        var titles = list.map(function(item) {
+          return item.title;
+        });
+        assert.deepEqual(titles, ['Usage', 'Intro'], 'find should sort by front matter');
+        done();
+      });
+    });
+
+    it('write', function(done) {
+      collection.write('new', {
+        title: 'New',
+        content: '# New\n'
+      }, function(err) {
+        assert(!err, 'write should success: ' + err);
+        var content = fs.readFileSync(folder + '/new.md', 'utf8');
+        assert.equal(content, '---\ntitle: New\n---\n# New\n', 'front matter and body should be written');
+        done();
+      });
+    });
+
+    it('body starts with ---', function(done) {
+      var content = '---\nfoo: bar\n---\n# Rule\n';
+      collection.write('rule', {
+        content: content
+      }, function(err) {
+        assert(!err, 'write should success: ' + err);
+        var source = fs.readFileSync(folder + '/rule.md', 'utf8');
+        assert.equal(source, '---\n---\n' + content, 'empty front matter should be written');
+        collection.read('rule', function(err, item) {
+          assert(!err, 'read should success: ' + err);
+          assert.deepEqual(item, {
+            content: content
+          }, 'body should be read as is');
+          done();
+        });
+      });
+    });
+
+    it('cleanup', function(done) {
+      fs.readdirSync(folder).forEach(function(name) {
+        fs.unlinkSync(folder + '/' + name);
+      });
+      fs.rmdirSync(folder);
+      done();
+    });
+  });
+});
@@ -0,0 +1,166 @@
+/*! mirror.test.js */
+
+var assert = require('chai').assert;
+var KagoDB = require('../../index');
+var crud_tests = require('../testlib/crud_tests');
+
+describe('Mirror Storage:', function() {
+
+  describe('CRUD', function() {
+    var MyKago = KagoDB.inherit({
+      storage: 'mirror',
+      replicas: [new KagoDB({
+        storage: 'memory'
+      }), new KagoDB({
+        storage: 'memory'
+      })]
+    });
+    crud_tests(MyKago);
+  });
+
+  describe('Replication', function() {
+    var primary = new KagoDB({
+      storage: 'memory'
+    });
+    var flaky = new KagoDB({
+      storage: 'memory'
+    });
+    var down = false;
+    flaky.write = function(id, item, callback) {
+      if (down) return callback(new Error('replica down'));
+      KagoDB.prototype.write.apply(this, arguments);
+    };
+    flaky.erase = function(id, callback) {
+      if (down) return callback(new Error('replica down'));
+      KagoDB.prototype.erase.apply(this, arguments);
+    };
+    flaky.read = function(id, callback) {
+      if (down) return callback(new Error('replica down'));
+      KagoDB.prototype.read.apply(this, arguments);
+    };
+
+    var opts = {
+      storage: 'mirror',
+      replicas: [flaky, primary],
+      write_quorum: 1
+    };
+    var collection = new KagoDB(opts);
+    var warned = 0;
+    collection.on('warn', function() {
+      warned++;
+    });
+
+    it('write to all replicas', function(done) {
+      collection.write('foo', {
+        name: 'FOO'
+      }, function(err) {
+        assert(!err, 'write should success: ' + err);
+        flaky.read('foo', function(err, item) {
+          assert(!err, 'replica should have the item: ' + err);
+          primary.read('foo', function(err, item) {
+            assert(!err, 'replica should have the item: ' + err);
+            done();
+          });
+        });
+      });
+    });
+
+    it('write quorum', function(done) {
+      down = true;
+      collection.write('bar', {
+        name: 'BAR'
+      }, function(err) {
+        assert(!err, 'write should success with quorum 1: ' + err);
+        assert.equal(warned, 1, 'failed replica should be warned');
+        var strict = new KagoDB({
+          storage: 'mirror',
+          replicas: [flaky, primary]
+        });
+        strict.write('baz', {}, function(err) {
+          assert(err, 'write should fail without quorum');
+          done();
+        });
+      });
+    });
+
+    it('read from healthy replica', function(done) {
+      collection.erase('foo', function(err) {
+        assert(!err, 'erase should success with quorum 1: ' + err);
+        down = false;
+        collection.read('bar', function(err, item) {
+          assert(!err, 'read should skip failed replica: ' + err);
+          assert.equal(item.name, 'BAR', 'read should return an item');
+          collection.exist('foo', function(err, exist) {
+            assert(!exist, 'exist should skip failed replica');
+            collection.index(function(err, list) {
+              assert(!err, 'index should success: ' + err);
+              assert.deepEqual(list.sort(), ['bar', 'baz'], 'index should skip failed replica');
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('repair()', function(done) {
+      collection.repair(function(err, count) {
+        assert(!err, 'repair should success: ' + err);
+        assert.equal(count, 2, 'repair should re-sync items');
+        flaky.index(function(err, list) {
+          assert(!err, 'index should success: ' + err);
+          assert.deepEqual(list, ['bar'], 'replica should be synced');
+          assert.equal(warned, 2, 'failed replica should be warned');
+          collection.repair(function(err, count) {
+            assert(!err, 'repair should success: ' + err);
+            assert.equal(count, 0, 'nothing to repair');
+            done();
+          });
+        });
+      });
+    });
+
+    it('erase missing item', function(done) {
+      collection.erase('qux', function(err) {
+        assert(err, 'erase should fail for a missing item');
+        assert.equal(warned, 2, 'replicas should not be marked failed');
+        collection.exist('qux', function(err, exist) {
+          assert(!err, 'exist should success: ' + err);
+          assert(!exist, 'item should not exist');
+          collection.read('qux', function(err) {
+            assert.equal(err && err.message, 'Item not found', 'read should fail as not found');
+            collection.write('qux', {
+              name: 'QUX'
+            }, function(err) {
+              assert(!err, 'write should success: ' + err);
+              collection.read('qux', function(err, item) {
+                assert(!err, 'read should success: ' + err);
+                assert.equal(item.name, 'QUX', 'read should return an item');
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('insert() after erasing missing item', function(done) {
+      var collection = new KagoDB({
+        storage: 'mirror',
+        replicas: [new KagoDB({
+          storage: 'memory'
+        }), new KagoDB({
+          storage: 'memory'
+        })],
+        primary_key: '_id'
+      });
+      collection.erase('x', function() {
+        collection.insert({
+          _id: 'x'
+        }, function(err) {
+          assert(!err, 'insert should success: ' + err);
+          done();
+        });
+      });
+    });
+  });
+});
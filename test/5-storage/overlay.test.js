@@ -0,0 +1,135 @@
+/*! overlay.test.js */
+
+var assert = require('chai').assert;
+var fs = require('fs');
+var KagoDB = require('../../index');
+var crud_tests = require('../testlib/crud_tests');
+
+describe('Overlay Storage:', function() {
+
+  describe('CRUD', function() {
+    var MyKago = KagoDB.inherit({
+      storage: 'overlay',
+      layers: [new KagoDB({
+        storage: 'memory'
+      }), new KagoDB({
+        storage: 'memory'
+      })]
+    });
+    crud_tests(MyKago);
+  });
+
+  describe('Layers', function() {
+    var date = (new Date()).toJSON().replace(/\.\d+|\D/g, '');
+    var folder = './data/overlay-' + date;
+    var base = new KagoDB({
+      storage: 'json',
+      path: folder
+    });
+    var scratch = new KagoDB({
+      storage: 'memory'
+    });
+    var collection = new KagoDB({
+      storage: 'overlay',
+      layers: [scratch, base]
+    });
+
+    it('prepare', function(done) {
+      fs.mkdirSync(folder);
+      fs.writeFileSync(folder + '/foo.json', '{"name":"FOO"}');
+      fs.writeFileSync(folder + '/bar.json', '{"name":"BAR"}');
+      done();
+    });
+
+    it('read falls through', function(done) {
+      collection.read('foo', function(err, item) {
+        assert(!err, 'read should success: ' + err);
+        assert.equal(item.name, 'FOO', 'read should return an item of the base layer');
+        collection.exist('bar', function(err, exist) {
+          assert(!err, 'exist should success: ' + err);
+          assert(exist, 'item should exist on the base layer');
+          done();
+        });
+      });
+    });
+
+    it('write to the top layer', function(done) {
+      collection.write('foo', {
+        name: 'FOO2'
+      }, function(err) {
+        assert(!err, 'write should success: ' + err);
+        collection.write('baz', {
+          name: 'BAZ'
+        }, function(err) {
+          assert(!err, 'write should success: ' + err);
+          assert.equal(read_json(folder + '/foo.json').name, 'FOO', 'base layer should not be modified');
+          assert(!fs.existsSync(folder + '/baz.json'), 'base layer should not have a new item');
+          collection.read('foo', function(err, item) {
+            assert(!err, 'read should success: ' + err);
+            assert.equal(item.name, 'FOO2', 'read should return an item of the top layer');
+            done();
+          });
+        });
+      });
+    });
+
+    it('erase leaves tombstone', function(done) {
+      collection.erase('bar', function(err) {
+        assert(!err, 'erase should success: ' + err);
+        assert(fs.existsSync(folder + '/bar.json'), 'base layer should not be modified');
+        collection.exist('bar', function(err, exist) {
+          assert(!exist, 'erased item should not exist');
+          collection.read('bar', function(err) {
+            assert(err, 'read should fail');
+            collection.erase('bar', function(err) {
+              assert(err, 'erase should fail for erased item');
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('index() returns the union', function(done) {
+      collection.index(function(err, list) {
+        assert(!err, 'index should success: ' + err);
+        assert.deepEqual(list.sort(), ['baz', 'foo'], 'index should not contain erased item');
+        collection.find().sort({
+          name: 1
+        }).toArray(function(err, list) {
+          assert(!err, 'find should success: ' + err);
+          var names = list.map(function(item) {
+            return item.name;
+          });
+          assert.deepEqual(names, ['BAZ', 'FOO2'], 'find should return items of all layers');
+          done();
+        });
+      });
+    });
+
+    it('write after erase', function(done) {
+      collection.write('bar', {
+        name: 'BAR2'
+      }, function(err) {
+        assert(!err, 'write should success: ' + err);
+        collection.read('bar', function(err, item) {
+          assert(!err, 'read should success: ' + err);
+          assert.equal(item.name, 'BAR2', 'read should return a new item');
+          done();
+        });
+      });
+    });
+
+    it('cleanup', function(done) {
+      fs.readdirSync(folder).forEach(function(name) {
+        fs.unlinkSync(folder + '/' + name);
+      });
+      fs.rmdirSync(folder);
+      done();
+    });
+  });
+});
+
+function read_json(path) {
+  return JSON.parse(fs.readFileSync(path, 'utf8'));
+}
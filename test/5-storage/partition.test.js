@@ -0,0 +1,143 @@
+/*! partition.test.js */
+
+var assert = require('chai').assert;
+var KagoDB = require('../../index');
+var crud_tests = require('../testlib/crud_tests');
+
+describe('Partition Storage:', function() {
+
+  describe('CRUD', function() {
+    var MyKago = KagoDB.inherit({
+      storage: 'partition',
+      partitions: [{
+        prefix: 'foo',
+        collection: new KagoDB({
+          storage: 'memory'
+        })
+      }, {
+        collection: new KagoDB({
+          storage: 'memory'
+        })
+      }]
+    });
+    crud_tests(MyKago);
+  });
+
+  describe('Rules', function() {
+    var users = new KagoDB({
+      storage: 'memory'
+    });
+    var archive = new KagoDB({
+      storage: 'memory'
+    });
+    var hot = new KagoDB({
+      storage: 'memory'
+    });
+    var collection = new KagoDB({
+      storage: 'partition',
+      primary_key: '_id',
+      partitions: [{
+        match: /^user:/,
+        collection: users
+      }, {
+        collection: archive,
+        test: function(item) {
+          return item.archived;
+        }
+      }, {
+        collection: hot
+      }]
+    });
+
+    it('write routes items', function(done) {
+      collection.write('user:1', {
+        name: 'USER'
+      }, function(err) {
+        assert(!err, 'write should success: ' + err);
+        collection.write('doc1', {
+          name: 'DOC1'
+        }, function(err) {
+          assert(!err, 'write should success: ' + err);
+          collection.write('doc2', {
+            name: 'DOC2',
+            archived: true
+          }, function(err) {
+            assert(!err, 'write should success: ' + err);
+            check(users, 'user:1', true, function() {
+              check(hot, 'doc1', true, function() {
+                check(archive, 'doc2', true, done);
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('read and find across partitions', function(done) {
+      collection.read('doc2', function(err, item) {
+        assert(!err, 'read should success: ' + err);
+        assert.equal(item.name, 'DOC2', 'read should return an item in a partition');
+        assert.equal(item._id, 'doc2', 'read should set primary key');
+        collection.find().sort({
+          name: 1
+        }).toArray(function(err, list) {
+          assert(!err, 'find should success: ' + err);
+          var names = list.map(function(item) {
+            return item.name;
+          });
+          assert.deepEqual(names, ['DOC1', 'DOC2', 'USER'], 'find should merge partitions');
+          done();
+        });
+      });
+    });
+
+    it('item moves between partitions', function(done) {
+      collection.update({
+        _id: 'doc1'
+      }, {
+        $set: {
+          archived: true
+        }
+      }, function(err) {
+        assert(!err, 'update should success: ' + err);
+        check(hot, 'doc1', false, function() {
+          check(archive, 'doc1', true, done);
+        });
+      });
+    });
+
+    it('erase', function(done) {
+      collection.erase('doc1', function(err) {
+        assert(!err, 'erase should success: ' + err);
+        collection.exist('doc1', function(err, exist) {
+          assert(!exist, 'erased item should not exist');
+          collection.erase('doc1', function(err) {
+            assert(err, 'erase should fail for erased item');
+            done();
+          });
+        });
+      });
+    });
+
+    it('no partition', function(done) {
+      var collection = new KagoDB({
+        storage: 'partition',
+        partitions: [{
+          prefix: 'foo',
+          collection: hot
+        }]
+      });
+      collection.write('bar', {}, function(err) {
+        assert(err, 'write should fail without a partition');
+        done();
+      });
+    });
+  });
+});
+
+function check(collection, id, expected, callback) {
+  collection.exist(id, function(err, exist) {
+    assert.equal(exist, expected, id + ' should ' + (expected ? '' : 'not ') + 'exist in the partition');
+    callback();
+  });
+}
@@ -0,0 +1,51 @@
+/*! yaml_file.test.js */
+
+var assert = require('chai').assert;
+var fs = require('fs');
+var KagoDB = require('../../index');
+var crud_tests = require('../testlib/crud_tests');
+
+describe('YAML File Storage:', function() {
+  var date = (new Date()).toJSON().replace(/\.\d+|\D/g, '');
+
+  describe('CRUD', function() {
+    var opts = {
+      storage: 'yaml_file',
+      path: './data/crud-' + date + '.yaml'
+    };
+    var MyKago = KagoDB.inherit(opts);
+    crud_tests(MyKago);
+
+    it('cleanup', function(done) {
+      fs.unlink(opts.path, done);
+    });
+  });
+
+  describe('Existing document', function() {
+    var opts = {
+      storage: 'yaml_file',
+      path: './data/doc-' + date + '.yaml'
+    };
+
+    it('read and write', function(done) {
+      fs.writeFileSync(opts.path, 'foo:\n  name: FOO\nbar:\n  name: BAR\n');
+      var collection = new KagoDB(opts);
+      collection.index(function(err, list) {
+        assert(!err, 'index should success: ' + err);
+        assert.deepEqual(list, ['foo', 'bar'], 'index should return keys of the document');
+        collection.write('baz', {
+          name: 'BAZ'
+        }, function(err) {
+          assert(!err, 'write should success: ' + err);
+          var content = fs.readFileSync(opts.path, 'utf8');
+          assert(content.indexOf('baz:\n  name: BAZ\n') > -1, 'document should contain a new item: ' + content);
+          done();
+        });
+      });
+    });
+
+    it('cleanup', function(done) {
+      fs.unlink(opts.path, done);
+    });
+  });
+});
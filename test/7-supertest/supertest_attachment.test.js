@@ -0,0 +1,166 @@
+/*! supertest_attachment.test.js */
+
+var assert = require('chai').assert;
+var KagoDB = require('../../index');
+var supertest = require('supertest');
+var express = require('express');
+
+describe('Supertest Attachment:', function() {
+  var collection = new KagoDB({
+    storage: 'memory'
+  });
+  var webapi = collection.webapi();
+  var app = express();
+  app.all('/memory/:id/:attachment', webapi);
+  app.all('/memory/:id?', webapi);
+  var agent = supertest(app);
+
+  it('prepare', function(done) {
+    collection.write('foo', {
+      name: 'FOO'
+    }, done);
+  });
+
+  it('multipart upload', function(done) {
+    agent.post('/memory/foo')
+      .query({
+        method: 'putAttachment'
+      })
+      .attach('file', Buffer.from('hello'), 'hello.txt')
+      .expect(200)
+      .end(function(err) {
+        assert(!err, 'upload should success: ' + err);
+        collection.getAttachment('foo', 'hello.txt', function(err, buffer) {
+          assert(!err, 'getAttachment should success: ' + err);
+          assert.equal(buffer.toString(), 'hello', 'file part should be stored by its file name');
+          done();
+        });
+      });
+  });
+
+  it('raw upload', function(done) {
+    agent.put('/memory/foo/data.bin')
+      .set('Content-Type', 'application/octet-stream')
+      .send(Buffer.from([0, 1, 2, 255]))
+      .expect(200)
+      .end(function(err) {
+        assert(!err, 'upload should success: ' + err);
+        agent.put('/memory/bar/data.bin')
+          .set('Content-Type', 'application/octet-stream')
+          .send(Buffer.from('x'))
+          .expect(404, done);
+      });
+  });
+
+  it('streaming download', function(done) {
+    agent.get('/memory/foo/hello.txt')
+      .expect('Content-Type', /text\/plain/)
+      .expect(200, 'hello', function(err) {
+        assert(!err, 'download should success: ' + err);
+        agent.get('/memory/foo/none.txt').expect(404, done);
+      });
+  });
+
+  it('listAttachments', function(done) {
+    agent.get('/memory/foo')
+      .query({
+        method: 'listAttachments'
+      })
+      .expect(200)
+      .end(function(err, res) {
+        assert(!err, 'listAttachments should success: ' + err);
+        assert.deepEqual(res.body.attachments, ['data.bin', 'hello.txt'], 'attachments should be listed');
+        done();
+      });
+  });
+
+  it('remove', function(done) {
+    agent.del('/memory/foo/hello.txt')
+      .expect(200)
+      .end(function(err) {
+        assert(!err, 'remove should success: ' + err);
+        collection.listAttachments('foo', function(err, list) {
+          assert.deepEqual(list, ['data.bin'], 'attachment should be removed');
+          done();
+        });
+      });
+  });
+
+  it('upload limit', function(done) {
+    var data = Buffer.alloc(100);
+    collection.set('attachment_limit', 50);
+    agent.post('/memory/foo')
+      .query({
+        method: 'putAttachment'
+      })
+      .attach('file', data, 'large.bin')
+      .expect(413)
+      .end(function(err) {
+        assert(!err, 'multipart upload should be rejected: ' + err);
+        agent.put('/memory/foo/large.bin')
+          .set('Content-Type', 'application/octet-stream')
+          .send(data)
+          .expect(413)
+          .end(function(err) {
+            assert(!err, 'raw upload should be rejected: ' + err);
+            collection.set('attachment_limit', null);
+            collection.listAttachments('foo', function(err, list) {
+              assert.deepEqual(list, ['data.bin'], 'attachment should not be stored');
+              done();
+            });
+          });
+      });
+  });
+
+  it('body parsed already', function(done) {
+    var app = express();
+    app.use(express.raw());
+    app.all('/memory/:id/:attachment', webapi);
+    supertest(app).put('/memory/foo/parsed.bin')
+      .set('Content-Type', 'application/octet-stream')
+      .send(Buffer.from('parsed'))
+      .expect(200)
+      .end(function(err) {
+        assert(!err, 'upload should success: ' + err);
+        collection.getAttachment('foo', 'parsed.bin', function(err, buffer) {
+          assert(!err, 'getAttachment should success: ' + err);
+          assert.equal(buffer.toString(), 'parsed', 'parsed body should be stored');
+          done();
+        });
+      });
+  });
+
+  it('download error', function(done) {
+    var broken = new KagoDB({
+      storage: 'memory'
+    });
+    broken.getAttachment = function(id, name, options, callback) {
+      var err = new Error('EACCES: permission denied');
+      err.code = 'EACCES';
+      callback(err);
+    };
+    var warned;
+    broken.on('warn', function() {
+      warned = true;
+    });
+    var app = express();
+    app.all('/memory/:id/:attachment', broken.webapi());
+    supertest(app).get('/memory/foo/hello.txt')
+      .expect(500)
+      .end(function(err) {
+        assert(!err, 'download should fail with 500: ' + err);
+        assert(warned, 'warn should be emitted');
+        done();
+      });
+  });
+
+  it('item API still works', function(done) {
+    agent.get('/memory/foo')
+      .expect(200)
+      .end(function(err, res) {
+        assert(!err, 'read should success: ' + err);
+        assert.equal(res.body.name, 'FOO', 'item should be returned');
+        done();
+      });
+  });
+});
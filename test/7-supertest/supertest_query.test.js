@@ -35,10 +35,52 @@ KagoDB.bundle.utils.inherits(SuperTestKagoDB, KagoDB);
 exports.DONT_RUN_TESTS_ON_REQUIRE = true;
 
 describe('Supertest Queries:', function() {
+  require('../4-query/aggregate.test')(SuperTestKagoDB);
+  require('../4-query/distinct.test')(SuperTestKagoDB);
   require('../4-query/find.test')(SuperTestKagoDB);
   require('../4-query/findAndModify.test')(SuperTestKagoDB);
   require('../4-query/insert.test')(SuperTestKagoDB);
   require('../4-query/remove.test')(SuperTestKagoDB);
   require('../4-query/save.test')(SuperTestKagoDB);
   require('../4-query/update.test')(SuperTestKagoDB);
+
+  describe('Aggregate status:', function() {
+    var app = express();
+    app.all('/api/:id?', new KagoDB({
+      storage: 'memory'
+    }).webapi());
+    var agent = supertest(app);
+
+    it('invalid pipeline', function(done) {
+      agent.post('/api/').send({
+        method: 'aggregate',
+        pipeline: [{
+          $unknown: {}
+        }]
+      }).expect(400, done);
+    });
+
+    it('unknown accumulator', function(done) {
+      agent.post('/api/').send({
+        method: 'aggregate',
+        pipeline: [{
+          $group: {
+            _id: '$category',
+            total: {
+              $unknown: '$price'
+            }
+          }
+        }]
+      }).expect(400, done);
+    });
+
+    it('valid pipeline', function(done) {
+      agent.post('/api/').send({
+        method: 'aggregate',
+        pipeline: [{
+          $count: 'total'
+        }]
+      }).expect(200, done);
+    });
+  });
 });
\ No newline at end of file
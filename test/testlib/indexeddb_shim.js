@@ -0,0 +1,169 @@
+/*! indexeddb_shim.js */
+
+// a minimal in-memory IndexedDB factory for testing indexeddb storage on node.js
+
+module.exports = Factory;
+
+function Factory() {
+  if (!(this instanceof Factory)) return new Factory();
+  this.databases = {}; // name => {version, stores, connections}
+}
+
+Factory.prototype.open = function(name, version) {
+  var dbs = this.databases;
+  var req = new Request();
+  defer(function() {
+    var data = dbs[name] || (dbs[name] = {
+      version: 0,
+      stores: {},
+      connections: []
+    });
+    version = version || data.version || 1;
+    if (version < data.version) {
+      req.error = new Error('VersionError');
+      return req.onerror && req.onerror();
+    }
+    var db = new Database(name, data);
+    req.result = db;
+    if (version > data.version) {
+      data.connections.forEach(function(conn) {
+        if (conn.onversionchange) conn.onversionchange();
+      });
+      data.version = version;
+      db.version = version;
+      if (req.onupgradeneeded) req.onupgradeneeded();
+    }
+    data.connections.push(db);
+    if (req.onsuccess) req.onsuccess();
+  });
+  return req;
+};
+
+function Database(name, data) {
+  var self = this;
+  this.name = name;
+  this.version = data.version;
+  this.data = data;
+  this.objectStoreNames = {
+    contains: function(name) {
+      return data.stores.hasOwnProperty(name);
+    }
+  };
+  this.close = function() {
+    data.connections = data.connections.filter(function(conn) {
+      return conn !== self;
+    });
+    self.closed = true;
+  };
+}
+
+Database.prototype.createObjectStore = function(name) {
+  this.data.stores[name] = {};
+};
+
+Database.prototype.transaction = function(names, mode) {
+  if (this.closed) throw new Error('InvalidStateError');
+  var stores = this.data.stores;
+  names.forEach(function(name) {
+    if (!stores[name]) throw new Error('NotFoundError: ' + name);
+  });
+  return new Transaction(stores, mode);
+};
+
+function Transaction(stores, mode) {
+  var self = this;
+  this.stores = stores;
+  this.mode = mode;
+  this.queue = [];
+  defer(function() {
+    self.run();
+  });
+}
+
+Transaction.prototype.objectStore = function(name) {
+  return new ObjectStore(this, this.stores[name]);
+};
+
+Transaction.prototype.request = function(job) {
+  var req = new Request();
+  this.queue.push(function() {
+    req.result = job();
+    if (req.onsuccess) req.onsuccess();
+  });
+  return req;
+};
+
+Transaction.prototype.run = function() {
+  var self = this;
+  if (this.queue.length) {
+    this.queue.shift()();
+    return defer(function() {
+      self.run();
+    });
+  }
+  if (this.oncomplete) this.oncomplete();
+};
+
+function ObjectStore(tx, data) {
+  this.tx = tx;
+  this.data = data;
+}
+
+ObjectStore.prototype.get = function(key) {
+  var data = this.data;
+  return this.tx.request(function() {
+    return data.hasOwnProperty(key) ? clone(data[key]) : undefined;
+  });
+};
+
+ObjectStore.prototype.put = function(value, key) {
+  var data = this.data;
+  if (this.tx.mode != 'readwrite') throw new Error('ReadOnlyError');
+  value = clone(value);
+  return this.tx.request(function() {
+    data[key] = value;
+    return key;
+  });
+};
+
+ObjectStore.prototype['delete'] = function(key) {
+  var data = this.data;
+  if (this.tx.mode != 'readwrite') throw new Error('ReadOnlyError');
+  return this.tx.request(function() {
+    delete data[key];
+  });
+};
+
+ObjectStore.prototype.count = function(key) {
+  var data = this.data;
+  var all = !arguments.length;
+  return this.tx.request(function() {
+    if (!all) return data.hasOwnProperty(key) ? 1 : 0;
+    return Object.keys(data).length;
+  });
+};
+
+ObjectStore.prototype.getAllKeys = function() {
+  var data = this.data;
+  return this.tx.request(function() {
+    return Object.keys(data).sort();
+  });
+};
+
+function Request() {}
+
+// structured clone which keeps Date objects
+function clone(value) {
+  if (!value || 'object' != typeof value) return value;
+  if (value instanceof Date) return new Date(value.getTime());
+  if (value instanceof Array) return value.map(clone);
+  var object = {};
+  Object.keys(value).forEach(function(key) {
+    object[key] = clone(value[key]);
+  });
+  return object;
+}
+
+function defer(func) {
+  setTimeout(func, 0);
+}